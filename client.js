@@ -1,8 +1,10 @@
+const { randomUUID } = require('node:crypto')
+
 const {
   normalizeHeaders,
   getRetryAfterMs,
+  getClaimsChallenge,
   createDefaultSleep,
-  chunkArray,
   toRelativeBatchUrl,
   toFullUrl,
 } = require('./internal/utils')
@@ -18,6 +20,8 @@ const {
  * @property {string} url
  * @property {Object<string,string>} [headers]
  * @property {any} [body]
+ * @property {Array<string|number>} [dependsOn] Ids of requests that must succeed before this one runs.
+ * @property {boolean} [idempotent] Allows retrying a POST (or other `nonIdempotentMethods`) on ambiguous failures.
  */
 
 /**
@@ -27,19 +31,43 @@ const {
  * @property {number} status
  * @property {Object<string,string>} headers
  * @property {any} body
+ * @property {SubresponseMetadata} [metadata] Only with `options.includeMetadata`.
+ */
+
+/**
+ * How a subresponse was obtained (`options.includeMetadata`).
+ * @typedef {Object} SubresponseMetadata
+ * @property {number} attempts Times the subrequest was sent in a `$batch` call (0 if it never was).
+ * @property {number[]} statuses Status of each attempt, in order.
+ * @property {number[]} delaysMs Delay before each retry.
+ * @property {number[]} retryAfterMs Retry-After values (ms) sent with its failed subresponses before a retry.
+ * @property {number} pages `@odata.nextLink` pages fetched for it.
  */
 
 /**
- * @typedef {'subrequest'|'pagination'|'auth'|'batch'} BatchErrorStage
+ * Call-wide totals (`options.includeMetadata`). Sleep and throttle times are summed over chunks.
+ * @typedef {Object} BatchMetadata
+ * @property {number} chunkCount
+ * @property {number} durationMs
+ * @property {number} sleepMs Time slept before retries (backoff, Retry-After, retryPolicy).
+ * @property {number} throttledMs 429 Retry-After pauses applied to the client.
+ * @property {number} outerRetries Retries of `$batch` POSTs and pagination GETs.
+ * @property {number} subrequestRetries
+ */
+
+/**
+ * @typedef {'subrequest'|'dependency'|'pagination'|'auth'|'batch'|'aborted'} BatchErrorStage
  */
 
 /**
  * Error reported in `mode: 'partial'`.
  *
  * - `stage: 'subrequest'`: a single subrequest exhausted retries.
+ * - `stage: 'dependency'`: a subrequest was not executed because a `dependsOn` prerequisite failed (424).
  * - `stage: 'pagination'`: auto-pagination failed for a GET response that had `@odata.nextLink`.
  * - `stage: 'auth'`: token acquisition failed (offline/network) before $batch could run.
  * - `stage: 'batch'`: $batch call failed (offline/network).
+ * - `stage: 'aborted'`: `options.signal` aborted or `options.deadlineMs` passed before the work finished.
  *
  * @typedef {Object} BatchPartialError
  * @property {BatchErrorStage} stage
@@ -52,12 +80,14 @@ const {
  * @property {string} [syscall]
  * @property {string} [hostname]
  * @property {string} [url]
+ * @property {string[]} [dependsOn]
  */
 
 /**
  * @typedef {Object} BatchResultStrict
  * @property {Record<string, BatchSubresponse>} responses
  * @property {BatchSubresponse[]} responseList
+ * @property {BatchMetadata} [metadata] Only with `options.includeMetadata`.
  */
 
 /**
@@ -66,20 +96,74 @@ const {
  * @property {BatchSubresponse[]} responseList
  * @property {boolean} partial
  * @property {BatchPartialError[]} errors
+ * @property {BatchMetadata} [metadata] Only with `options.includeMetadata`.
  */
 
-const { createBackoff } = require('./internal/backoff')
+/**
+ * A page delivered to `options.onPage`. `pageNumber` 1 is the page carried by the subresponse itself.
+ * @typedef {Object} PaginationPage
+ * @property {string} id
+ * @property {number} pageNumber
+ * @property {any[]} value
+ * @property {any} page Full page body.
+ */
+
+/**
+ * Item yielded by `batchStream()`: a finished subresponse or, in mode: 'partial', an error entry.
+ * @typedef {{ kind: 'response', response: BatchSubresponse }|{ kind: 'error', error: BatchPartialError }} BatchStreamItem
+ */
+
+const { BACKOFF_STRATEGIES, createBackoff } = require('./internal/backoff')
+const {
+  createCancellation,
+  createChildCancellation,
+  raceWithSignal,
+  throwIfAborted,
+} = require('./internal/cancellation')
+const { createCircuitBreaker } = require('./internal/circuitBreaker')
+const { getDependsOn, planDependencyChunks } = require('./internal/dependencies')
+const { createEventEmitter } = require('./internal/events')
+const { createExecutionMetadata } = require('./internal/executionMetadata')
+const { createLogger } = require('./internal/logger')
+const { createClientMetrics, createMetricsRegistry } = require('./internal/metrics')
 const { createPaginationHandler } = require('./internal/pagination')
-const { createRefreshTokenAccessTokenProvider } = require('./internal/tokenProvider')
+const { createRateLimiter } = require('./internal/rateLimiter')
+const { createRedactor } = require('./internal/redaction')
+const { DEFAULT_RETRYABLE_ERROR_CODES, createRetryDecider } = require('./internal/retryPolicy')
+const { createFileTokenCache, createMemoryTokenCache } = require('./internal/tokenCache')
+const { createAccessTokenProviderFromAuth } = require('./internal/tokenProvider')
+const { SPAN_KIND_CLIENT, SPAN_STATUS_ERROR, createTracing } = require('./internal/tracing')
 
 const {
   RequestFailedError,
   RequestExceededRetriesError,
+  RequestTimeoutError,
   SubrequestExceededRetriesError,
+  SubrequestNotRetriedError,
   InvalidBatchResponseShapeError,
   BatchRequestSizeExceededError,
+  DependencyFailedError,
+  ClaimsChallengeError,
+  CircuitOpenError,
+  AbortError,
 } = require('./errors')
 
+// How a failed Graph call counts towards the circuit breaker: only outages (network errors, 5xx) are failures.
+// Any other HTTP answer proves the endpoint is up; token and URL validation errors never reached Graph,
+// and cancelled calls say nothing about its health.
+function classifyCircuitOutcome(err) {
+  if (err?.stage === 'auth' || err?.code === 'ORIGIN_MISMATCH' || err instanceof AbortError) return 'ignored'
+  const status = err?.status
+  if (typeof status !== 'number') return 'failure'
+  if (status === 429) return 'ignored'
+  return status >= 500 ? 'failure' : 'success'
+}
+
+function normalizeConcurrency(value) {
+  if (!Number.isInteger(value) || value < 1) throw new Error('options.concurrency must be a positive integer')
+  return value
+}
+
 class M365GraphBatchClient {
   constructor(options) {
     if (!options) throw new Error('options is required')
@@ -103,18 +187,35 @@ class M365GraphBatchClient {
     this._sleep = options.sleep || createDefaultSleep()
     this._now = options.now || (() => Date.now())
 
+    // Secrets and PII are scrubbed from errors, errors[] entries, logs and span attributes (`redact: false` opts out).
+    this._redact = createRedactor(options.redact)
+
+    // Structured logs (`logger[level](fields, message)`); every entry of a batch() call carries its correlationId.
+    this._log = createLogger(options.logger, this._redact)
+
+    // Optional Prometheus-style metrics, fed from the lifecycle events below and the built-in token providers.
+    this._metrics = options.metrics ? createClientMetrics(options.metrics) : null
+
+    // Lifecycle listeners: `options.on = { request, response, retry, throttled, sleep, ... }`.
+    const emitToListeners = createEventEmitter(options.on)
+    this._emit = this._metrics
+      ? (event, payload) => {
+          this._metrics.record(event, payload)
+          emitToListeners(event, payload)
+        }
+      : emitToListeners
+
+    // Optional OpenTelemetry tracer: batch() > chunk > HTTP attempt / pagination page spans.
+    this._tracing = createTracing(options.tracer)
+
     if (options.getAccessToken && typeof options.getAccessToken === 'function') {
       this._getAccessToken = options.getAccessToken
     } else if (options.auth && typeof options.auth === 'object') {
-      this._getAccessToken = createRefreshTokenAccessTokenProvider({
+      this._getAccessToken = createAccessTokenProviderFromAuth({
         axios: this._axios,
-        tenantId: options.auth.tenantId,
-        clientId: options.auth.clientId,
-        clientSecret: options.auth.clientSecret,
-        refreshToken: options.auth.refreshToken,
-        scope: options.auth.scope,
+        auth: options.auth,
         now: this._now,
-        clockSkewMs: options.auth.clockSkewMs,
+        onTokenRefresh: this._metrics ? (result) => this._metrics.recordTokenRefresh(result) : undefined,
       })
     } else {
       throw new Error('options.getAccessToken is required')
@@ -139,26 +240,61 @@ class M365GraphBatchClient {
 
     this._maxPaginationPages = options.maxPaginationPages ?? 50
 
+    // Per-attempt axios timeout; a hung connection is then retried like any other transport failure.
+    if (
+      options.requestTimeoutMs !== undefined &&
+      (!Number.isFinite(options.requestTimeoutMs) || options.requestTimeoutMs <= 0)
+    ) {
+      throw new Error('options.requestTimeoutMs must be a positive number')
+    }
+    this._requestTimeoutMs = options.requestTimeoutMs
+
+    // Number of $batch chunks executed in parallel per batch() call.
+    this._concurrency = normalizeConcurrency(options.concurrency ?? 1)
+
     // Jitter is applied to exponential backoff to reduce thundering herd.
     this._jitterRatio = options.jitterRatio ?? 0.25
 
     // Allow deterministic tests.
     this._rng = options.rng
 
+    // Optional: stop calling Graph for a while after repeated outage-like failures.
+    this._circuitBreaker = options.circuitBreaker
+      ? createCircuitBreaker({
+          ...(typeof options.circuitBreaker === 'object' ? options.circuitBreaker : {}),
+          now: this._now,
+        })
+      : null
+
     // Default: common transient statuses for Graph.
     this._retryableStatuses = new Set(options.retryableStatuses ?? [429, 500, 502, 503, 504])
 
-    this._backoff = createBackoff({
-      initialBackoffMs: this._initialBackoffMs,
-      maxBackoffMs: this._maxBackoffMs,
-      jitterRatio: this._jitterRatio,
-      rng: this._rng,
+    // Default retries: retryable statuses plus transient Graph error codes in the response body.
+    // `options.retryPolicy` can override that decision per request, response and stage.
+    this._decideRetry = createRetryDecider({
+      retryableStatuses: this._retryableStatuses,
+      retryableErrorCodes: options.retryableErrorCodes,
+      nonIdempotentMethods: options.nonIdempotentMethods,
+      retryPolicy: options.retryPolicy,
+    })
+
+    this._backoff = this._createBackoff(options.backoff)
+
+    // Shared by all batch() calls on this client: a 429 with Retry-After pauses every caller.
+    this._rateLimiter = createRateLimiter({
+      requestsPerSecond: options.rateLimit?.requestsPerSecond,
+      burst: options.rateLimit?.burst,
+      now: this._now,
+      sleep: this._sleep,
     })
 
     this._pagination = createPaginationHandler({
-      getWithGlobalRetry: (url) => this._getWithGlobalRetry(url),
+      getWithGlobalRetry: (url, requestOptions) => this._getWithGlobalRetry(url, requestOptions),
       graphOrigin: this._graphOrigin,
       maxPaginationPages: this._maxPaginationPages,
+      emit: this._emit,
+      tracing: this._tracing,
+      log: this._log,
     })
 
     this._validateUrlSameOrigin = (urlOrPath) => {
@@ -193,18 +329,35 @@ class M365GraphBatchClient {
    * a synthetic status: 599 response is created for each request and one global
    * entry is appended to errors[] with stage: 'auth' or stage: 'batch'.
    *
+   * Requests may declare `dependsOn`. Dependency chains are kept in one $batch payload
+   * (or in ordered consecutive chunks when longer than `maxRequestsPerBatch`), and
+   * dependents of a failed prerequisite get a 424 response plus a stage: 'dependency'
+   * error (or throw DependencyFailedError in mode: 'strict').
+   *
+   * `options.signal` and `options.deadlineMs` cancel the call: in-flight Graph requests are aborted and
+   * retry waits and pagination stop. mode: 'partial' returns the work finished so far plus stage: 'aborted'
+   * errors (requests that never got a response become synthetic 599s); mode: 'strict' throws AbortError.
+   *
    * @param {BatchRequest[]} requests
    * @param {Object} [options]
    * @param {boolean} [options.paginate=true] Auto-paginate GET responses when nextLink is present.
    * @param {BatchMode} [options.mode='partial'] 'partial' (default) or 'strict'.
+   * @param {number} [options.concurrency] Max $batch chunks in flight; defaults to the client option (1).
+   * @param {(page: PaginationPage) => any} [options.onPage] Receive pages one by one instead of aggregating
+   *   them into `body.value` (which then keeps only the first page). Awaited before the next page is fetched.
+   * @param {import('./internal/backoff').BackoffStrategy} [options.backoff] Overrides the client backoff strategy.
+   * @param {AbortSignal} [options.signal] Cancels the call when aborted.
+   * @param {number} [options.deadlineMs] Cancels the call once it has run this long.
+   * @param {string} [options.correlationId] Id carried by every log entry of this call; random by default.
+   * @param {boolean} [options.includeMetadata] Attach retry history to each subresponse and a summary to the result.
    * @returns {Promise<BatchResultStrict|BatchResultPartial>}
    */
   async batch(requests, options = {}) {
     if (!Array.isArray(requests)) throw new Error('requests must be an array')
     if (requests.length === 0) return { responses: {}, responseList: [] }
 
-    const paginate = options.paginate ?? true
-    const mode = options.mode ?? 'partial'
+    const callOptions = this._resolveCallOptions(options)
+    const { mode, correlationId, execution } = callOptions
 
     const responsesById = {}
     const responseList = []
@@ -212,13 +365,41 @@ class M365GraphBatchClient {
     const errors = []
     let partial = false
 
-    const requestChunks = chunkArray(requests, this._maxRequestsPerBatch)
-    for (const requestChunk of requestChunks) {
-      const chunkResult = await this._executeChunkWithRetries(requestChunk, { paginate, mode })
+    // Chunks may complete out of order; merge them in plan order so errors[] stays deterministic.
+    const settledChunks = []
+    const startedAtMs = this._now()
+    const cancellation = createCancellation(options)
+    const spanAttributes = { 'graph.batch.request_count': requests.length, 'graph.batch.mode': mode }
+    this._log.debug({ correlationId, requestCount: requests.length, mode }, 'batch() started')
+    try {
+      await this._tracing.inSpan('graph.batch', { attributes: spanAttributes }, async (span) => {
+        for await (const settled of this._executeChunks(requests, { ...callOptions, signal: cancellation.signal })) {
+          settledChunks[settled.chunkIndex] = settled
+        }
+        span.setAttributes({
+          'graph.batch.chunk_count': settledChunks.length,
+          'graph.batch.error_count': settledChunks.reduce((n, c) => n + (c.chunkResult.errors?.length ?? 0), 0),
+        })
+      })
+    } catch (err) {
+      this._redact.error(err)
+      this._log.error({ correlationId, err, durationMs: this._now() - startedAtMs }, 'batch() failed')
+      throw err
+    } finally {
+      cancellation.dispose()
+      this._metrics?.observeBatchDuration(this._now() - startedAtMs)
+    }
+
+    // Chunks may be reordered to honor dependsOn; responseList is rebuilt in input order.
+    const responseSlots = new Array(requests.length)
+
+    for (const { indexChunk, requestChunk, chunkResult } of settledChunks) {
       for (const response of chunkResult.responseList) {
         responsesById[response.id] = response
-        responseList.push(response)
       }
+      indexChunk.forEach((requestIndex, i) => {
+        responseSlots[requestIndex] = chunkResult.responsesById[requestChunk[i].id]
+      })
 
       if (mode === 'partial') {
         partial = partial || chunkResult.partial
@@ -226,36 +407,274 @@ class M365GraphBatchClient {
       }
     }
 
-    if (mode === 'partial') return { responses: responsesById, responseList, partial, errors }
+    for (const response of responseSlots) {
+      if (response) responseList.push(response)
+    }
 
-    return { responses: responsesById, responseList }
+    this._log.info(
+      {
+        correlationId,
+        durationMs: this._now() - startedAtMs,
+        chunkCount: settledChunks.length,
+        responseCount: responseList.length,
+        errorCount: errors.length,
+      },
+      'batch() finished'
+    )
+
+    // Opt-in summary; `execution` only exists with options.includeMetadata.
+    const metadata = execution
+      ? { metadata: execution.summary({ chunkCount: settledChunks.length, durationMs: this._now() - startedAtMs }) }
+      : {}
+
+    if (mode === 'partial') return { responses: responsesById, responseList, partial, errors, ...metadata }
+
+    return { responses: responsesById, responseList, ...metadata }
+  }
+
+  /**
+   * Streaming variant of `batch()`.
+   *
+   * Yields each subresponse as soon as its chunk (retries and pagination included) has finished,
+   * followed by that chunk's error entries in mode: 'partial'. Items arrive in chunk completion
+   * order; nothing is retained after it has been yielded, and new chunks are only started while
+   * the consumer keeps iterating. Options and failure semantics are the same as `batch()`.
+   *
+   * @param {BatchRequest[]} requests
+   * @param {Object} [options] Same as `batch()`.
+   * @returns {AsyncGenerator<BatchStreamItem>}
+   */
+  async *batchStream(requests, options = {}) {
+    if (!Array.isArray(requests)) throw new Error('requests must be an array')
+    if (requests.length === 0) return
+
+    const callOptions = this._resolveCallOptions(options)
+    const { mode, correlationId } = callOptions
+
+    const startedAtMs = this._now()
+    const cancellation = createCancellation(options)
+    this._log.debug({ correlationId, requestCount: requests.length, mode }, 'batchStream() started')
+    try {
+      let chunkCount = 0
+      for await (const { chunkResult } of this._executeChunks(requests, {
+        ...callOptions,
+        signal: cancellation.signal,
+      })) {
+        chunkCount += 1
+        for (const response of chunkResult.responseList) yield { kind: 'response', response }
+        if (mode === 'partial') {
+          for (const error of chunkResult.errors) yield { kind: 'error', error }
+        }
+      }
+      this._log.info({ correlationId, durationMs: this._now() - startedAtMs, chunkCount }, 'batchStream() finished')
+    } catch (err) {
+      this._redact.error(err)
+      this._log.error({ correlationId, err, durationMs: this._now() - startedAtMs }, 'batchStream() failed')
+      throw err
+    } finally {
+      cancellation.dispose()
+      this._metrics?.observeBatchDuration(this._now() - startedAtMs)
+    }
+  }
+
+  /**
+   * Iterate the pages of a collection subresponse, e.g. one returned with `paginate: false`.
+   *
+   * Yields the subresponse body first, then each `@odata.nextLink` page as it is fetched
+   * (same origin checks, global retry and `maxPaginationPages` guard as auto-pagination).
+   *
+   * @param {BatchSubresponse} response
+   * @returns {AsyncGenerator<any>}
+   */
+  iteratePages(response) {
+    if (!response || typeof response !== 'object') throw new Error('response is required')
+    return this._pagination.iteratePages(response.body, { id: String(response.id) })
+  }
+
+  _resolveCallOptions(options) {
+    return {
+      paginate: options.paginate ?? true,
+      mode: options.mode ?? 'partial',
+      concurrency: options.concurrency === undefined ? this._concurrency : normalizeConcurrency(options.concurrency),
+      onPage: typeof options.onPage === 'function' ? options.onPage : null,
+      backoff: options.backoff === undefined ? this._backoff : this._createBackoff(options.backoff),
+      correlationId: options.correlationId === undefined ? randomUUID() : String(options.correlationId),
+      execution: options.includeMetadata ? createExecutionMetadata() : null,
+    }
+  }
+
+  /**
+   * Run the planned chunks with at most `concurrency` in flight and yield each one as it settles.
+   * A chunk holding dependents of another chunk starts only after that chunk has settled.
+   */
+  async *_executeChunks(requests, callOptions) {
+    const { concurrency, correlationId, execution } = callOptions
+
+    const indexChunks = planDependencyChunks(requests, this._maxRequestsPerBatch)
+
+    const chunkIndexById = new Map()
+    indexChunks.forEach((indexChunk, chunkIndex) => {
+      for (const requestIndex of indexChunk) chunkIndexById.set(String(requests[requestIndex].id), chunkIndex)
+    })
+
+    const prerequisiteChunks = indexChunks.map((indexChunk, chunkIndex) => {
+      const prerequisites = new Set()
+      for (const requestIndex of indexChunk) {
+        for (const dep of getDependsOn(requests[requestIndex])) {
+          const depChunkIndex = chunkIndexById.get(dep)
+          if (depChunkIndex !== chunkIndex) prerequisites.add(depChunkIndex)
+        }
+      }
+      return [...prerequisites]
+    })
+
+    const settledStatusById = new Map()
+    const settledChunkIndexes = new Set()
+    const waiting = indexChunks.map((_, chunkIndex) => chunkIndex)
+    const inFlight = new Map()
+    // Aborts the chunks still in flight when the call stops early (strict-mode failure, consumer stopped iterating).
+    const chunkCancellation = createChildCancellation(callOptions.signal)
+
+    try {
+      while (waiting.length > 0 || inFlight.size > 0) {
+        for (const chunkIndex of waiting.slice()) {
+          if (inFlight.size >= concurrency) break
+          if (!prerequisiteChunks[chunkIndex].every((c) => settledChunkIndexes.has(c))) continue
+
+          waiting.splice(waiting.indexOf(chunkIndex), 1)
+          const indexChunk = indexChunks[chunkIndex]
+          const requestChunk = indexChunk.map((index) => requests[index])
+          const ids = requestChunk.map((req) => String(req.id))
+          const startedAtMs = this._now()
+          this._emit('chunkStart', { chunkIndex, ids })
+          this._log.debug({ correlationId, chunkIndex, ids }, 'Dispatching $batch chunk')
+
+          const spanAttributes = { 'graph.batch.chunk_index': chunkIndex, 'graph.batch.subrequest_count': ids.length }
+          const promise = this._tracing
+            .inSpan('graph.batch.chunk', { attributes: spanAttributes }, async (span) => {
+              const chunkResult = await this._executeChunkWithRetries(requestChunk, {
+                ...callOptions,
+                signal: chunkCancellation.signal,
+                settledStatusById,
+                chunkIndex,
+              })
+              span.setAttributes({
+                'graph.batch.statuses': chunkResult.responseList.map((response) => response.status),
+                'graph.batch.error_count': chunkResult.errors?.length ?? 0,
+              })
+              return chunkResult
+            })
+            .then(
+              (chunkResult) => {
+                // Retries and pagination are over for this chunk, so the per-subresponse record is final.
+                if (execution) {
+                  for (const response of chunkResult.responseList)
+                    response.metadata = execution.forResponse(response.id)
+                }
+                this._emit('chunkEnd', {
+                  chunkIndex,
+                  ids,
+                  durationMs: this._now() - startedAtMs,
+                  statuses: chunkResult.responseList.map((response) => response.status),
+                  errorCount: chunkResult.errors?.length ?? 0,
+                })
+                return { chunkIndex, indexChunk, requestChunk, chunkResult }
+              },
+              (err) => {
+                this._emit('chunkEnd', { chunkIndex, ids, durationMs: this._now() - startedAtMs, error: err })
+                throw err
+              }
+            )
+          inFlight.set(chunkIndex, promise)
+        }
+
+        const settled = await Promise.race(inFlight.values())
+        inFlight.delete(settled.chunkIndex)
+        settledChunkIndexes.add(settled.chunkIndex)
+        for (const response of settled.chunkResult.responseList) {
+          settledStatusById.set(response.id, response.status)
+        }
+
+        yield settled
+      }
+    } finally {
+      if (inFlight.size > 0) {
+        chunkCancellation.abort(new AbortError({ reason: new Error('the call stopped before this chunk settled') }))
+        // Nobody awaits these any more; keep their rejections handled.
+        for (const promise of inFlight.values()) promise.catch(() => {})
+      }
+      chunkCancellation.dispose()
+    }
   }
 
   _isRetryableStatus(status) {
     return this._retryableStatuses.has(status)
   }
 
-  _computeBackoffMs(attempt) {
-    return this._backoff.computeBackoffMs(attempt)
+  // Strategy name or function; the client's initialBackoffMs/maxBackoffMs/jitterRatio/rng apply to all of them.
+  _createBackoff(strategy) {
+    return createBackoff({
+      strategy,
+      initialBackoffMs: this._initialBackoffMs,
+      maxBackoffMs: this._maxBackoffMs,
+      jitterRatio: this._jitterRatio,
+      rng: this._rng,
+    })
+  }
+
+  _computeBackoffMs(attempt, { backoff, previousDelayMs } = {}) {
+    return (backoff ?? this._backoff).computeBackoffMs(attempt, { previousDelayMs })
+  }
+
+  // Logs how a Retry-After header was read; `delayMs` is the parsed value (null when it could not be parsed).
+  _logRetryAfter(headers, delayMs, fields) {
+    const retryAfter = headers?.['retry-after']
+    if (retryAfter === undefined) return
+    if (delayMs === null) this._log.warn({ ...fields, retryAfter }, 'Ignoring unparsable Retry-After header')
+    else this._log.debug({ ...fields, retryAfter, delayMs }, 'Parsed Retry-After header')
   }
 
-  async _executeChunkWithRetries(requestChunk, { paginate, mode }) {
+  // `_sleep` announced as a `sleep` event (`details`: stage, chunkIndex, reason); an abort of `signal` cancels it.
+  _sleepWithSignal(delayMs, { signal, execution, ...details } = {}) {
+    execution?.recordSleep(delayMs)
+    this._emit('sleep', { ...details, delayMs })
+    return raceWithSignal(this._sleep(delayMs, { signal }), signal)
+  }
+
+  async _executeChunkWithRetries(
+    requestChunk,
+    { paginate, mode, settledStatusById, onPage, backoff, signal, chunkIndex, correlationId, execution }
+  ) {
+    // Per-call settings for every Graph request this chunk makes ($batch POSTs and pagination GETs).
+    const requestOptions = { backoff, signal, chunkIndex, correlationId, execution }
+
     const requestMetaById = {}
     for (const req of requestChunk) {
       const id = String(req.id)
       const method = (req.method || 'GET').toUpperCase()
-      requestMetaById[id] = { method }
+      requestMetaById[id] = { method, dependsOn: getDependsOn(req) }
     }
 
     const errors = []
     let partial = false
 
+    // Every partial-mode error entry goes through here so it is redacted and logged. `id` and `dependsOn`
+    // are the caller's own identifiers and stay as submitted; only the free-text fields are redacted.
+    const pushError = (entry) => {
+      const redacted = this._redact.value(entry)
+      if (entry.id !== undefined) redacted.id = entry.id
+      if (entry.dependsOn !== undefined) redacted.dependsOn = entry.dependsOn
+      errors.push(redacted)
+      this._log.warn({ correlationId, chunkIndex, error: redacted }, 'Recorded partial-mode error')
+    }
+
     const responsesById = {}
 
     const classifyGlobalErrorStage = (err) => {
       const msg = typeof err?.message === 'string' ? err.message : ''
       const url = typeof err?.config?.url === 'string' ? err.config.url : ''
 
+      if (err?.stage === 'auth') return 'auth'
       if (url.includes('login.microsoftonline.com') || msg.includes('login.microsoftonline.com')) return 'auth'
       if (msg.startsWith('OAuth token refresh')) return 'auth'
 
@@ -267,10 +686,10 @@ class M365GraphBatchClient {
       type: err?.name || 'Error',
       message: err?.message || String(err),
       code: err?.code,
-      errno: err?.errno,
-      syscall: err?.syscall,
-      hostname: err?.hostname,
-      url: err?.config?.url,
+      errno: err?.errno ?? err?.cause?.errno,
+      syscall: err?.syscall ?? err?.cause?.syscall,
+      hostname: err?.hostname ?? err?.cause?.hostname,
+      url: err?.config?.url ?? err?.cause?.config?.url,
     })
 
     const isOfflineLikeError = (err) => {
@@ -278,6 +697,8 @@ class M365GraphBatchClient {
       const code = err?.code
       const syscall = err?.syscall
 
+      if (err instanceof RequestTimeoutError) return true
+
       // Node DNS lookup failure
       if (syscall === 'getaddrinfo') return true
       if (msg.includes('getaddrinfo ENOTFOUND')) return true
@@ -287,13 +708,14 @@ class M365GraphBatchClient {
         'EAI_AGAIN',
         'ECONNREFUSED',
         'ETIMEDOUT',
+        'ECONNABORTED',
         'ECONNRESET',
         'ENETUNREACH',
         'EHOSTUNREACH',
       ].includes(code)
     }
 
-    const ensureSyntheticBatchFailureResponses = (stage, message) => {
+    const ensureSyntheticBatchFailureResponses = (stage, message, code = 'BatchRequestFailed') => {
       for (const req of requestChunk) {
         if (responsesById[req.id]) continue
         responsesById[req.id] = {
@@ -302,7 +724,7 @@ class M365GraphBatchClient {
           headers: {},
           body: {
             error: {
-              code: 'BatchRequestFailed',
+              code,
               message,
             },
             stage,
@@ -311,6 +733,21 @@ class M365GraphBatchClient {
       }
     }
 
+    // The $batch call failed ambiguously and was not resent because of non-idempotent subrequests
+    // (err.notRetriedIds, see createRetryDecider): report the call, then each subrequest that may have run.
+    const reportBatchNotRetried = (err, reqs) => {
+      partial = true
+      pushError(formatGlobalError(err, 'batch'))
+      for (const req of reqs) delete responsesById[req.id]
+      ensureSyntheticBatchFailureResponses('batch', errors[errors.length - 1].message)
+
+      const status = err.status ?? 'unknown'
+      for (const id of err.notRetriedIds) {
+        const notRetried = new SubrequestNotRetriedError({ id, method: requestMetaById[id].method, status })
+        pushError({ id, stage: 'subrequest', type: notRetried.name, message: notRetried.message, status })
+      }
+    }
+
     const ensureSyntheticSubrequestFailureResponse = (id, errorCode, message, status) => {
       responsesById[id] = {
         id: String(id),
@@ -326,6 +763,52 @@ class M365GraphBatchClient {
       }
     }
 
+    const ensureSyntheticDependencyFailureResponse = (id, failedDependsOn) => {
+      const err = new DependencyFailedError({ id, dependsOn: failedDependsOn })
+      responsesById[id] = {
+        id: String(id),
+        status: 424,
+        headers: {},
+        body: {
+          error: {
+            code: 'DependencyFailed',
+            message: err.message,
+          },
+        },
+      }
+    }
+
+    const getFailedDependsOn = (id) => {
+      const dependsOn = requestMetaById[String(id)].dependsOn
+      return dependsOn.filter((dep) => {
+        const status = responsesById[dep] ? responsesById[dep].status : settledStatusById?.get(dep)
+        return status !== undefined && (status < 200 || status >= 300)
+      })
+    }
+
+    // Both Graph's own 424 subresponses and the synthetic ones created here are reported the same way.
+    const reportDependencyFailures = () => {
+      for (const req of requestChunk) {
+        const response = responsesById[req.id]
+        if (!response || response.status !== 424) continue
+
+        const failedDependsOn = getFailedDependsOn(req.id)
+        const dependsOn = failedDependsOn.length > 0 ? failedDependsOn : requestMetaById[String(req.id)].dependsOn
+        const err = new DependencyFailedError({ id: req.id, dependsOn })
+        if (mode !== 'partial') throw err
+
+        partial = true
+        pushError({
+          id: String(req.id),
+          stage: 'dependency',
+          type: err.name,
+          message: err.message,
+          status: 424,
+          dependsOn,
+        })
+      }
+    }
+
     // Preflight: if any subrequest has an off-origin absolute URL, treat it as a partial subrequest error.
     const offOrigin = []
     if (this._graphOrigin) {
@@ -348,7 +831,7 @@ class M365GraphBatchClient {
       partial = true
       for (const req of offOrigin) {
         ensureSyntheticSubrequestFailureResponse(req.id, 'ORIGIN_MISMATCH', message, 599)
-        errors.push({
+        pushError({
           id: String(req.id),
           stage: 'subrequest',
           type: 'OriginMismatchError',
@@ -361,9 +844,21 @@ class M365GraphBatchClient {
       effectiveChunk = requestChunk.filter((r) => !offOrigin.some((e) => String(e.id) === String(r.id)))
     }
 
+    // Preflight: do not send dependents whose prerequisite already failed (earlier chunk or rejected above).
+    // The chunk is topologically ordered, so skipped requests cascade to their own dependents.
+    const blocked = []
+    for (const req of effectiveChunk) {
+      const failedDependsOn = getFailedDependsOn(req.id)
+      if (failedDependsOn.length === 0) continue
+      ensureSyntheticDependencyFailureResponse(req.id, failedDependsOn)
+      blocked.push(req)
+    }
+    if (blocked.length > 0) effectiveChunk = effectiveChunk.filter((r) => !blocked.includes(r))
+
     // First, execute the whole chunk once. Then, isolate retryable subresponses.
     let initial
     if (effectiveChunk.length === 0) {
+      reportDependencyFailures()
       const ordered = requestChunk.map((r) => responsesById[r.id]).filter(Boolean)
       return mode === 'partial'
         ? { responsesById, responseList: ordered, partial, errors }
@@ -371,16 +866,41 @@ class M365GraphBatchClient {
     }
 
     try {
-      initial = await this._postBatchWithGlobalRetry(effectiveChunk)
+      initial = await this._postBatchWithGlobalRetry(effectiveChunk, requestOptions)
     } catch (err) {
-      // In partial mode, only swallow offline/network failures.
+      if (mode === 'partial' && err instanceof AbortError) {
+        partial = true
+        pushError(formatGlobalError(err, 'aborted'))
+        ensureSyntheticBatchFailureResponses('aborted', err.message, 'RequestAborted')
+        reportDependencyFailures()
+        return {
+          responsesById,
+          responseList: requestChunk.map((r) => responsesById[r.id]).filter(Boolean),
+          partial,
+          errors,
+        }
+      }
+
+      if (mode === 'partial' && err?.notRetriedIds) {
+        reportBatchNotRetried(err, effectiveChunk)
+        reportDependencyFailures()
+        return {
+          responsesById,
+          responseList: requestChunk.map((r) => responsesById[r.id]).filter(Boolean),
+          partial,
+          errors,
+        }
+      }
+
+      // In partial mode, only swallow offline/network failures and an open circuit breaker.
       // Other failures (401, invalid $batch shape, invalid_grant, etc.) still throw.
-      if (mode !== 'partial' || !isOfflineLikeError(err)) throw err
+      if (mode !== 'partial' || !(isOfflineLikeError(err) || err instanceof CircuitOpenError)) throw err
 
       const stage = classifyGlobalErrorStage(err)
       partial = true
-      errors.push(formatGlobalError(err, stage))
+      pushError(formatGlobalError(err, stage))
       ensureSyntheticBatchFailureResponses(stage, errors[errors.length - 1].message)
+      reportDependencyFailures()
 
       const ordered = requestChunk.map((r) => responsesById[r.id]).filter(Boolean)
 
@@ -389,25 +909,83 @@ class M365GraphBatchClient {
 
     for (const r of initial.responses) {
       responsesById[r.id] = r
+      execution?.recordAttempt(r.id, r.status)
     }
 
     const retryState = new Map()
     const getAttempts = (id) => retryState.get(id) ?? 0
     const incAttempts = (id) => retryState.set(id, getAttempts(id) + 1)
 
-    let pending = effectiveChunk.slice()
+    // Delays requested by `retryPolicy` for the current pending set, by id.
+    const policyDelayById = new Map()
+
+    const reportNotRetried = (req, response) => {
+      const id = String(req.id)
+      const err = new SubrequestNotRetriedError({ id, method: requestMetaById[id].method, status: response.status })
+      if (mode !== 'partial') throw err
+
+      partial = true
+      pushError({ id, stage: 'subrequest', type: err.name, message: err.message, status: response.status })
+    }
+
+    const selectPending = async (candidates) => {
+      const pendingIds = new Set()
+      policyDelayById.clear()
+      for (const req of candidates) {
+        const id = String(req.id)
+        const response = responsesById[req.id]
+        // Missing response should be treated as retryable (defensive).
+        if (!response) {
+          pendingIds.add(id)
+          continue
+        }
+        if (response.status < 400) continue
+
+        const decision = await this._decideRetry({
+          stage: 'subrequest',
+          request: req,
+          response,
+          attempt: getAttempts(req.id) + 1,
+        })
+        if (!decision.retry) {
+          this._log.debug(
+            { correlationId, chunkIndex, id, status: response.status, nonIdempotent: Boolean(decision.nonIdempotent) },
+            'Subrequest failed and will not be retried'
+          )
+          if (decision.nonIdempotent) reportNotRetried(req, response)
+          continue
+        }
+        pendingIds.add(id)
+        if (decision.delayMs !== undefined) policyDelayById.set(id, decision.delayMs)
+      }
+
+      // Graph answers 424 for dependents of a throttled prerequisite; retry them together with it.
+      let changed = true
+      while (changed) {
+        changed = false
+        for (const req of candidates) {
+          const id = String(req.id)
+          if (pendingIds.has(id) || responsesById[req.id].status !== 424) continue
+          if (requestMetaById[id].dependsOn.some((dep) => pendingIds.has(dep))) {
+            pendingIds.add(id)
+            changed = true
+          }
+        }
+      }
+
+      return candidates.filter((req) => pendingIds.has(String(req.id)))
+    }
+
     // Apply initial results.
-    pending = pending.filter((req) => {
-      const response = responsesById[req.id]
-      // Missing response should be treated as retryable (defensive).
-      if (!response) return true
-      return this._isRetryableStatus(response.status)
-    })
+    let pending = await selectPending(effectiveChunk)
+
+    // Last backoff delay, for strategies that grow from it (decorrelated jitter).
+    let previousBackoffMs = 0
 
     // If any retryable subresponses exist, retry only those.
     while (pending.length > 0) {
       const exhausted = []
-      const retryList = []
+      let retryList = []
       for (const req of pending) {
         const nextAttempts = getAttempts(req.id) + 1
         if (nextAttempts > this._maxSubrequestRetries) {
@@ -428,9 +1006,11 @@ class M365GraphBatchClient {
         partial = true
         for (const req of exhausted) {
           const lastResponse = responsesById[req.id]
+          // Dependents still waiting on a prerequisite are reported as stage: 'dependency'.
+          if (lastResponse?.status === 424) continue
           const status = lastResponse ? lastResponse.status : 'unknown'
           const err = new SubrequestExceededRetriesError({ id: req.id, status })
-          errors.push({
+          pushError({
             id: String(req.id),
             stage: 'subrequest',
             type: err.name,
@@ -443,50 +1023,146 @@ class M365GraphBatchClient {
         }
       }
 
+      // Dependents of an exhausted prerequisite must not run on their own.
+      const givenUp = new Set(exhausted.map((req) => String(req.id)))
+      let changed = exhausted.length > 0
+      while (changed) {
+        changed = false
+        retryList = retryList.filter((req) => {
+          const failedDependsOn = requestMetaById[String(req.id)].dependsOn.filter((dep) => givenUp.has(dep))
+          if (failedDependsOn.length === 0) return true
+          givenUp.add(String(req.id))
+          ensureSyntheticDependencyFailureResponse(req.id, failedDependsOn)
+          changed = true
+          return false
+        })
+      }
+
       if (retryList.length === 0) break
 
-      // Calculate delay: prefer per-subrequest Retry-After.
+      // Calculate delay: prefer a retryPolicy delay, then per-subrequest Retry-After.
       let delayMs = null
+      let delayReason = null
+      const throttledIds = []
+      const retryAfterById = new Map()
+      const useDelay = (ms, reason) => {
+        if (delayMs !== null && ms <= delayMs) return
+        delayMs = ms
+        delayReason = reason
+      }
       for (const req of retryList) {
         const response = responsesById[req.id]
+        const policyDelayMs = policyDelayById.get(String(req.id))
+        if (policyDelayMs !== undefined) {
+          useDelay(policyDelayMs, 'retryPolicy')
+          continue
+        }
         const ra = response ? getRetryAfterMs(response.headers, this._now) : null
-        if (ra !== null) delayMs = delayMs === null ? ra : Math.max(delayMs, ra)
+        this._logRetryAfter(response?.headers, ra, { correlationId, chunkIndex, id: String(req.id) })
+        if (ra !== null) useDelay(ra, 'retryAfter')
+        retryAfterById.set(String(req.id), ra)
+        if (ra !== null && response.status === 429) throttledIds.push(String(req.id))
       }
 
-      // If no Retry-After headers, do exponential backoff based on max attempts.
+      // If no Retry-After headers, back off based on max attempts.
       if (delayMs === null) {
         const maxAttempts = Math.max(0, ...retryList.map((r) => getAttempts(r.id)))
-        delayMs = this._computeBackoffMs(maxAttempts + 1)
+        delayMs = this._computeBackoffMs(maxAttempts + 1, { backoff, previousDelayMs: previousBackoffMs })
+        previousBackoffMs = delayMs
+        delayReason = 'backoff'
       }
 
-      if (delayMs > 0) await this._sleep(delayMs)
-
+      this._log.info(
+        {
+          correlationId,
+          chunkIndex,
+          ids: retryList.map((req) => String(req.id)),
+          statuses: retryList.map((req) => responsesById[req.id]?.status),
+          delayMs,
+          reason: delayReason,
+        },
+        'Retrying subrequests'
+      )
       for (const req of retryList) {
-        incAttempts(req.id)
+        execution?.recordSubrequestRetry(req.id, { delayMs, retryAfterMs: retryAfterById.get(String(req.id)) })
+        this._emit('retry', {
+          stage: 'subrequest',
+          chunkIndex,
+          id: String(req.id),
+          attempt: getAttempts(req.id) + 1,
+          status: responsesById[req.id]?.status,
+          delayMs,
+          reason: delayReason,
+        })
       }
 
-      const retryBatch = await this._postBatchWithGlobalRetry(retryList)
+      let retryBatch
+      try {
+        // Throttling applies to the whole client: the retry below waits in the rate limiter with everyone else.
+        if (throttledIds.length > 0) {
+          this._emit('throttled', { stage: 'subrequest', chunkIndex, ids: throttledIds, status: 429, delayMs })
+          execution?.recordThrottle(delayMs)
+          this._rateLimiter.throttle(delayMs)
+        } else if (delayMs > 0) {
+          await this._sleepWithSignal(delayMs, {
+            signal,
+            execution,
+            stage: 'subrequest',
+            chunkIndex,
+            reason: delayReason,
+          })
+        }
+
+        for (const req of retryList) {
+          incAttempts(req.id)
+        }
+
+        retryBatch = await this._postBatchWithGlobalRetry(retryList, requestOptions)
+      } catch (err) {
+        if (mode === 'partial' && err instanceof AbortError) {
+          // The last real subresponses are kept; each retry that was cut short is reported.
+          partial = true
+          for (const req of retryList) {
+            const status = responsesById[req.id]?.status
+            pushError({ id: String(req.id), stage: 'aborted', type: err.name, message: err.message, status })
+          }
+          break
+        }
+        if (mode === 'partial' && err?.notRetriedIds) {
+          reportBatchNotRetried(err, retryList)
+          break
+        }
+        if (mode !== 'partial' || !(err instanceof CircuitOpenError)) throw err
+
+        // The circuit opened while these were waiting for a retry: report them like a failed $batch call.
+        partial = true
+        pushError(formatGlobalError(err, 'batch'))
+        for (const req of retryList) delete responsesById[req.id]
+        ensureSyntheticBatchFailureResponses('batch', err.message)
+        break
+      }
       for (const r of retryBatch.responses) {
         responsesById[r.id] = r
+        execution?.recordAttempt(r.id, r.status)
       }
 
-      pending = retryList.filter((req) => {
-        const resp = responsesById[req.id]
-        if (!resp) return true
-        return this._isRetryableStatus(resp.status)
-      })
+      pending = await selectPending(retryList)
     }
 
+    reportDependencyFailures()
+
     const responseList = Object.values(responsesById)
 
     if (paginate) {
       await this._paginateResponsesInPlace(responseList, requestMetaById, {
         mode,
+        onPage,
+        requestOptions,
         onError: (err, ctx) => {
           partial = true
-          errors.push({
+          pushError({
             id: String(ctx.id),
-            stage: 'pagination',
+            stage: err instanceof AbortError ? 'aborted' : 'pagination',
             type: err.name,
             message: err.message,
           })
@@ -506,52 +1182,202 @@ class M365GraphBatchClient {
     return this._pagination.paginateResponsesInPlace(responseList, requestMetaById, options)
   }
 
-  async _getWithGlobalRetry(urlOrPath) {
-    const req = { method: 'GET', url: urlOrPath }
-    return this._requestWithGlobalRetry(req)
+  async _getWithGlobalRetry(urlOrPath, requestOptions) {
+    const req = { method: 'GET', url: urlOrPath, stage: 'pagination' }
+    return this._requestWithGlobalRetry(req, requestOptions)
+  }
+
+  async _requestWithGlobalRetry(req, requestOptions = {}) {
+    this._validateUrlSameOrigin(req.url)
+
+    const breaker = this._circuitBreaker
+    if (!breaker) return this._sendWithGlobalRetry(req, requestOptions)
+
+    breaker.acquire()
+    try {
+      const data = await this._sendWithGlobalRetry(req, requestOptions)
+      breaker.recordSuccess()
+      return data
+    } catch (err) {
+      const outcome = classifyCircuitOutcome(err)
+      if (outcome === 'failure') breaker.recordFailure()
+      else if (outcome === 'success') breaker.recordSuccess()
+      else breaker.recordIgnored()
+      throw err
+    }
   }
 
-  async _requestWithGlobalRetry({ method, url, headers, body }) {
-    this._validateUrlSameOrigin(url)
+  // axios errors carry the request config (Authorization header, full URL, body): redact before they surface.
+  async _requestAxios(config) {
+    try {
+      return await this._axios.request(config)
+    } catch (err) {
+      throw this._redact.error(err)
+    }
+  }
 
+  async _sendWithGlobalRetry(
+    { method, url, headers, body, subrequests, stage = 'batch' },
+    { backoff, signal, chunkIndex, correlationId, execution } = {}
+  ) {
+    const request = { method, url, headers, body }
+    // A $batch POST is only replayed when each of its subrequests is safe to run twice.
+    const retryContext = subrequests ? { stage, request, subrequests } : { stage, request }
+    // Common fields of the lifecycle events and log entries emitted for this call.
+    const event = { stage, chunkIndex, method, url: this._redact.text(url) }
+    const logFields = { correlationId, ...event }
     let attempt = 0
+    let previousBackoffMs = 0
+    // Set after a 401: the next attempt asks for a fresh token (with the CAE claims, if challenged).
+    // Each kind of 401 is replayed once; a repeated one is final.
+    let tokenRequest = null
+    let reauthenticated = false
+    let claimsChallenged = false
 
     while (true) {
-      const token = await this._getAccessToken()
+      throwIfAborted(signal)
+      await this._rateLimiter.acquire({ signal })
+
+      let token
+      try {
+        token = await raceWithSignal(tokenRequest ? this._getAccessToken(tokenRequest) : this._getAccessToken(), signal)
+        tokenRequest = null
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason
+        if (tokenRequest?.claims) {
+          const challengeError = new ClaimsChallengeError({ claims: tokenRequest.claims, status: 401, cause: err })
+          challengeError.stage = 'auth'
+          throw this._redact.error(challengeError)
+        }
+        // Token endpoints may live on a custom authority host; tag the failure so partial mode reports stage: 'auth'.
+        if (err && typeof err === 'object' && err.stage === undefined) err.stage = 'auth'
+        throw this._redact.error(err)
+      }
       const fullUrl = this._toFullUrl(url)
 
+      this._emit('request', { ...event, attempt: attempt + 1 })
+      const sentAtMs = this._now()
+
+      const spanAttributes = {
+        'http.request.method': method,
+        'url.full': this._redact.text(fullUrl),
+        'graph.stage': stage,
+        'graph.attempt': attempt + 1,
+        ...(attempt > 0 ? { 'http.request.resend_count': attempt } : {}),
+        ...(Array.isArray(body?.requests) ? { 'graph.batch.subrequest_count': body.requests.length } : {}),
+      }
+
       let response
       try {
-        response = await this._axios.request({
-          url: fullUrl,
+        response = await this._tracing.inSpan(
           method,
-          headers: {
-            authorization: `Bearer ${token}`,
-            ...(body ? { 'content-type': 'application/json' } : {}),
-            ...headers,
-          },
-          data: body,
-          // We do retry handling ourselves.
-          validateStatus: () => true,
-        })
+          { kind: SPAN_KIND_CLIENT, attributes: spanAttributes },
+          async (span) => {
+            const res = await this._requestAxios({
+              url: fullUrl,
+              method,
+              headers: {
+                authorization: `Bearer ${token}`,
+                ...(body ? { 'content-type': 'application/json' } : {}),
+                ...headers,
+              },
+              data: body,
+              // We do retry handling ourselves.
+              validateStatus: () => true,
+              ...(this._requestTimeoutMs ? { timeout: this._requestTimeoutMs } : {}),
+              ...(signal ? { signal } : {}),
+            })
+            const requestId = normalizeHeaders(res.headers)['request-id']
+            span.setAttributes({
+              'http.response.status_code': res.status,
+              ...(requestId ? { 'graph.request_id': requestId } : {}),
+            })
+            if (res.status >= 400) span.setStatus({ code: SPAN_STATUS_ERROR })
+            return res
+          }
+        )
       } catch (err) {
+        // axios rejects with a CanceledError; surface the call's AbortError instead of retrying.
+        if (signal?.aborted) throw signal.reason
+        this._emit('response', { ...event, attempt: attempt + 1, error: err, durationMs: this._now() - sentAtMs })
+
+        const decision = await this._decideRetry({ ...retryContext, error: err, attempt: attempt + 1 })
         attempt += 1
-        if (attempt > this._maxBatchRetries) throw err
-        const backoffMs = this._computeBackoffMs(attempt)
-        if (backoffMs > 0) await this._sleep(backoffMs)
+        if (!decision.retry || attempt > this._maxBatchRetries) {
+          if (decision.notRetriedIds && err && typeof err === 'object') err.notRetriedIds = decision.notRetriedIds
+          // axios reports its own `timeout` as ECONNABORTED; other ETIMEDOUTs (e.g. an OS connect timeout) pass through.
+          if (!this._requestTimeoutMs || err?.code !== 'ECONNABORTED') throw err
+          // Graph may have run a timed-out $batch: its unsafe subrequests are reported, not resent.
+          const timeoutError = new RequestTimeoutError({
+            timeoutMs: this._requestTimeoutMs,
+            attempts: attempt,
+            cause: err,
+          })
+          if (decision.notRetriedIds) timeoutError.notRetriedIds = decision.notRetriedIds
+          throw timeoutError
+        }
+        const reason = decision.delayMs === undefined ? 'backoff' : 'retryPolicy'
+        const backoffMs =
+          decision.delayMs ?? this._computeBackoffMs(attempt, { backoff, previousDelayMs: previousBackoffMs })
+        if (decision.delayMs === undefined) previousBackoffMs = backoffMs
+        execution?.recordOuterRetry()
+        this._emit('retry', { ...event, attempt, error: err, delayMs: backoffMs, reason })
+        this._log.info(
+          { ...logFields, attempt, errorCode: err?.code, error: err?.message, delayMs: backoffMs, reason },
+          'Retrying Graph request after a network error'
+        )
+        if (backoffMs > 0) await this._sleepWithSignal(backoffMs, { signal, execution, stage, chunkIndex, reason })
         continue
       }
 
       const status = response.status
       const responseHeaders = normalizeHeaders(response.headers)
+      this._emit('response', {
+        ...event,
+        attempt: attempt + 1,
+        status,
+        requestId: responseHeaders['request-id'],
+        durationMs: this._now() - sentAtMs,
+      })
 
       if (status >= 200 && status < 300) {
         return response.data ?? null
       }
 
-      if (!this._isRetryableStatus(status)) {
-        const responseText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '')
-        throw new RequestFailedError({ status, responseText })
+      const getResponseText = () =>
+        this._redact.responseText(
+          typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '')
+        )
+
+      if (status === 401) {
+        // CAE revoked the session: the new token must satisfy the claims Graph asked for.
+        const claims = getClaimsChallenge(responseHeaders)
+        if (claims) {
+          if (claimsChallenged) throw new ClaimsChallengeError({ claims, status, responseText: getResponseText() })
+          claimsChallenged = true
+          reauthenticated = true
+          tokenRequest = { forceRefresh: true, claims }
+          continue
+        }
+
+        // The token may have been revoked or expired early: replay once with a freshly issued one.
+        if (!reauthenticated) {
+          reauthenticated = true
+          tokenRequest = { forceRefresh: true }
+          continue
+        }
+      }
+
+      const decision = await this._decideRetry({
+        ...retryContext,
+        response: { status, headers: responseHeaders, body: response.data },
+        attempt: attempt + 1,
+      })
+      if (!decision.retry) {
+        this._log.debug({ ...logFields, attempt: attempt + 1, status }, 'Graph request failed and will not be retried')
+        const failure = new RequestFailedError({ status, responseText: getResponseText() })
+        if (decision.notRetriedIds) failure.notRetriedIds = decision.notRetriedIds
+        throw failure
       }
 
       attempt += 1
@@ -559,14 +1385,39 @@ class M365GraphBatchClient {
         throw new RequestExceededRetriesError({ status })
       }
 
+      // A retryPolicy delay wins over Retry-After, which wins over backoff.
       const retryAfterMs = getRetryAfterMs(responseHeaders, this._now)
-      const backoffMs = this._computeBackoffMs(attempt)
-      const delayMs = retryAfterMs ?? backoffMs
-      if (delayMs > 0) await this._sleep(delayMs)
+      this._logRetryAfter(responseHeaders, retryAfterMs, logFields)
+      let delayMs
+      let reason
+      if (decision.delayMs !== undefined) {
+        delayMs = decision.delayMs
+        reason = 'retryPolicy'
+      } else if (retryAfterMs !== null) {
+        delayMs = retryAfterMs
+        reason = 'retryAfter'
+      } else {
+        delayMs = this._computeBackoffMs(attempt, { backoff, previousDelayMs: previousBackoffMs })
+        previousBackoffMs = delayMs
+        reason = 'backoff'
+      }
+      execution?.recordOuterRetry()
+      this._emit('retry', { ...event, attempt, status, delayMs, reason })
+      this._log.info({ ...logFields, attempt, status, delayMs, reason }, 'Retrying Graph request')
+
+      if (status === 429 && reason === 'retryAfter') {
+        // Waited out by rateLimiter.acquire() at the top of the loop, together with every other caller.
+        this._emit('throttled', { ...event, attempt, status, delayMs })
+        execution?.recordThrottle(delayMs)
+        this._rateLimiter.throttle(delayMs)
+        continue
+      }
+
+      if (delayMs > 0) await this._sleepWithSignal(delayMs, { signal, execution, stage, chunkIndex, reason })
     }
   }
 
-  async _postBatchWithGlobalRetry(requestChunk) {
+  async _postBatchWithGlobalRetry(requestChunk, requestOptions) {
     for (const req of requestChunk) {
       try {
         this._validateUrlSameOrigin(req.url)
@@ -582,21 +1433,33 @@ class M365GraphBatchClient {
       throw new BatchRequestSizeExceededError({ max: this._maxRequestsPerBatch })
     }
 
+    // Graph only accepts dependsOn ids from the same payload; earlier chunks already ran.
+    const idsInChunk = new Set(requestChunk.map((r) => String(r.id)))
+
     const payload = {
-      requests: requestChunk.map((r) => ({
-        id: String(r.id),
-        method: (r.method || 'GET').toUpperCase(),
-        url: toRelativeBatchUrl(r.url),
-        headers: r.headers || undefined,
-        body: r.body || undefined,
-      })),
-    }
-
-    const result = await this._requestWithGlobalRetry({
-      method: 'POST',
-      url: this._batchPath,
-      body: payload,
-    })
+      requests: requestChunk.map((r) => {
+        const dependsOn = getDependsOn(r).filter((dep) => idsInChunk.has(dep))
+        return {
+          id: String(r.id),
+          method: (r.method || 'GET').toUpperCase(),
+          url: toRelativeBatchUrl(r.url),
+          headers: r.headers || undefined,
+          body: r.body || undefined,
+          dependsOn: dependsOn.length > 0 ? dependsOn : undefined,
+        }
+      }),
+    }
+
+    const result = await this._requestWithGlobalRetry(
+      {
+        method: 'POST',
+        url: this._batchPath,
+        body: payload,
+        subrequests: requestChunk,
+        stage: 'batch',
+      },
+      requestOptions
+    )
 
     if (!result || !Array.isArray(result.responses)) {
       throw new InvalidBatchResponseShapeError()
@@ -623,7 +1486,13 @@ class M365GraphBatchClient {
 
 module.exports = {
   M365GraphBatchClient,
+  BACKOFF_STRATEGIES,
+  DEFAULT_RETRYABLE_ERROR_CODES,
+  createMemoryTokenCache,
+  createFileTokenCache,
+  createMetricsRegistry,
   getRetryAfterMs,
+  getClaimsChallenge,
   normalizeHeaders,
   toRelativeBatchUrl,
 }
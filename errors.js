@@ -20,6 +20,20 @@ class RequestExceededRetriesError extends M365GraphBatchClientError {
   }
 }
 
+class RequestTimeoutError extends M365GraphBatchClientError {
+  constructor({ timeoutMs, attempts, cause }) {
+    super(
+      `Request timed out after ${attempts} attempt${attempts === 1 ? '' : 's'}` +
+        (timeoutMs ? ` (timeout ${timeoutMs}ms per attempt)` : '')
+    )
+    this.timeoutMs = timeoutMs
+    this.attempts = attempts
+    // Callers matching on the transport code (ECONNABORTED) keep working.
+    this.code = cause?.code
+    if (cause !== undefined) this.cause = cause
+  }
+}
+
 class SubrequestExceededRetriesError extends M365GraphBatchClientError {
   constructor({ id, status }) {
     super(`Subrequest ${id} exceeded retries (last status ${status})`)
@@ -28,6 +42,15 @@ class SubrequestExceededRetriesError extends M365GraphBatchClientError {
   }
 }
 
+class SubrequestNotRetriedError extends M365GraphBatchClientError {
+  constructor({ id, method, status }) {
+    super(`Subrequest ${id} (${method}) failed with status ${status} and was not retried because it is not idempotent`)
+    this.id = id
+    this.method = method
+    this.status = status
+  }
+}
+
 class InvalidBatchResponseShapeError extends M365GraphBatchClientError {
   constructor() {
     super('Invalid $batch response shape')
@@ -65,14 +88,65 @@ class PaginationExternalNextLinkError extends M365GraphBatchClientError {
   }
 }
 
+class DependencyCycleError extends M365GraphBatchClientError {
+  constructor({ ids }) {
+    super(`Request dependsOn cycle detected between ${ids.join(', ')}`)
+    this.ids = ids
+  }
+}
+
+class DependencyFailedError extends M365GraphBatchClientError {
+  constructor({ id, dependsOn }) {
+    super(`Subrequest ${id} was not executed because dependency ${dependsOn.join(', ')} failed`)
+    this.id = id
+    this.dependsOn = dependsOn
+  }
+}
+
+class ClaimsChallengeError extends M365GraphBatchClientError {
+  constructor({ claims, status, responseText, cause }) {
+    super(`Claims challenge could not be satisfied (${status}): ${cause ? (cause.message ?? cause) : responseText}`)
+    this.claims = claims
+    this.status = status
+    this.responseText = responseText
+    if (cause !== undefined) this.cause = cause
+  }
+}
+
+class CircuitOpenError extends M365GraphBatchClientError {
+  constructor({ retryAfterMs }) {
+    super(`Circuit breaker is open; Graph requests are failing fast (retry in ${retryAfterMs}ms)`)
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+class AbortError extends M365GraphBatchClientError {
+  constructor({ reason, deadlineMs }) {
+    super(
+      deadlineMs === undefined
+        ? `batch() was aborted${reason?.message ? `: ${reason.message}` : ''}`
+        : `batch() exceeded its deadline of ${deadlineMs}ms`
+    )
+    this.reason = reason
+    this.deadlineMs = deadlineMs
+  }
+}
+
 module.exports = {
   M365GraphBatchClientError,
   RequestFailedError,
   RequestExceededRetriesError,
+  RequestTimeoutError,
   SubrequestExceededRetriesError,
+  SubrequestNotRetriedError,
   InvalidBatchResponseShapeError,
   BatchRequestSizeExceededError,
   PaginationExceededMaxPagesError,
   PaginationNonJsonError,
   PaginationExternalNextLinkError,
+  DependencyCycleError,
+  DependencyFailedError,
+  ClaimsChallengeError,
+  CircuitOpenError,
+  AbortError,
 }
@@ -1,10 +1,26 @@
-function createBackoff({ initialBackoffMs, maxBackoffMs, jitterRatio, rng }) {
+const BACKOFF_STRATEGIES = ['exponential', 'fullJitter', 'decorrelatedJitter', 'fixed', 'linear']
+
+/**
+ * Custom backoff: returns the delay in ms before retry number `attempt` (1-based).
+ * `previousDelayMs` is the delay returned for the previous attempt of the same retry sequence (0 for the first).
+ * `random` is the client's `rng` (or Math.random).
+ * @typedef {(context: { attempt: number, previousDelayMs: number, initialBackoffMs: number, maxBackoffMs: number, random: () => number }) => number} BackoffFunction
+ */
+
+/**
+ * @typedef {'exponential'|'fullJitter'|'decorrelatedJitter'|'fixed'|'linear'|BackoffFunction} BackoffStrategy
+ */
+
+function createBackoff({ strategy, initialBackoffMs, maxBackoffMs, jitterRatio, rng }) {
   const random = rng || Math.random
+  const effectiveStrategy = strategy ?? 'exponential'
 
-  return {
-    computeBackoffMs(attempt) {
-      const unclamped = initialBackoffMs * 2 ** Math.max(0, attempt - 1)
-      const clamped = Math.min(maxBackoffMs, unclamped)
+  const exponentialMs = (attempt) => Math.min(maxBackoffMs, initialBackoffMs * 2 ** Math.max(0, attempt - 1))
+
+  const strategies = {
+    // Capped exponential with proportional jitter (`jitterRatio`) around the target delay.
+    exponential(attempt) {
+      const clamped = exponentialMs(attempt)
 
       const effectiveJitterRatio = Math.max(0, jitterRatio)
       if (effectiveJitterRatio === 0 || clamped === 0) return clamped
@@ -13,9 +29,52 @@ function createBackoff({ initialBackoffMs, maxBackoffMs, jitterRatio, rng }) {
       const max = clamped * (1 + effectiveJitterRatio)
       return Math.floor(min + (max - min) * random())
     },
+
+    // Uniform in [0, capped exponential]: spreads simultaneous retries the most.
+    fullJitter(attempt) {
+      return Math.floor(exponentialMs(attempt) * random())
+    },
+
+    // Uniform in [initial, 3 × previous delay], capped; grows without tracking the attempt number.
+    decorrelatedJitter(_attempt, previousDelayMs) {
+      const upper = Math.max(initialBackoffMs, (previousDelayMs > 0 ? previousDelayMs : initialBackoffMs) * 3)
+      return Math.min(maxBackoffMs, Math.floor(initialBackoffMs + (upper - initialBackoffMs) * random()))
+    },
+
+    fixed() {
+      return Math.min(maxBackoffMs, initialBackoffMs)
+    },
+
+    linear(attempt) {
+      return Math.min(maxBackoffMs, initialBackoffMs * Math.max(1, attempt))
+    },
+  }
+
+  let compute
+  if (typeof effectiveStrategy === 'function') {
+    compute = (attempt, previousDelayMs) => {
+      const delayMs = Number(effectiveStrategy({ attempt, previousDelayMs, initialBackoffMs, maxBackoffMs, random }))
+      if (!Number.isFinite(delayMs) || delayMs < 0) {
+        throw new Error(`Custom backoff returned an invalid delay: ${delayMs}`)
+      }
+      return delayMs
+    }
+  } else if (Object.hasOwn(strategies, effectiveStrategy)) {
+    compute = strategies[effectiveStrategy]
+  } else {
+    throw new Error(
+      `options.backoff must be one of ${BACKOFF_STRATEGIES.join(', ')} or a function (got ${effectiveStrategy})`
+    )
+  }
+
+  return {
+    computeBackoffMs(attempt, { previousDelayMs } = {}) {
+      return compute(attempt, previousDelayMs ?? 0)
+    },
   }
 }
 
 module.exports = {
+  BACKOFF_STRATEGIES,
   createBackoff,
 }
@@ -0,0 +1,95 @@
+const { AbortError } = require('../errors')
+
+/**
+ * Per-call cancellation for `batch()`: combines the caller's `signal` and `deadlineMs` into one AbortSignal
+ * whose `reason` is always an AbortError. `dispose()` clears the deadline timer and the listener on `signal`.
+ * Without either option, `signal` is null and nothing is allocated.
+ */
+function createCancellation({ signal, deadlineMs }) {
+  if (signal !== undefined && (typeof signal?.addEventListener !== 'function' || !('aborted' in signal))) {
+    throw new Error('options.signal must be an AbortSignal')
+  }
+  if (deadlineMs !== undefined && (!Number.isFinite(deadlineMs) || deadlineMs <= 0)) {
+    throw new Error('options.deadlineMs must be a positive number')
+  }
+  if (signal === undefined && deadlineMs === undefined) return { signal: null, dispose() {} }
+
+  const controller = new AbortController()
+  const abort = (err) => {
+    if (!controller.signal.aborted) controller.abort(err)
+  }
+  const onCallerAbort = () => abort(new AbortError({ reason: signal.reason }))
+
+  if (signal?.aborted) onCallerAbort()
+  else signal?.addEventListener('abort', onCallerAbort, { once: true })
+
+  let timer = null
+  if (deadlineMs !== undefined && !controller.signal.aborted) {
+    timer = setTimeout(() => abort(new AbortError({ deadlineMs })), deadlineMs)
+    // The deadline alone should not keep the process alive.
+    timer.unref?.()
+  }
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      if (timer) clearTimeout(timer)
+      signal?.removeEventListener('abort', onCallerAbort)
+    },
+  }
+}
+
+/**
+ * Cancellation scoped to part of a call (e.g. the chunks `_executeChunks` started): aborts with the parent
+ * signal, and `abort(err)` stops it alone. `dispose()` removes the listener on the parent.
+ */
+function createChildCancellation(parentSignal) {
+  const controller = new AbortController()
+  const abort = (err) => {
+    if (!controller.signal.aborted) controller.abort(err)
+  }
+  const onParentAbort = () => abort(parentSignal.reason)
+
+  if (parentSignal?.aborted) onParentAbort()
+  else parentSignal?.addEventListener('abort', onParentAbort, { once: true })
+
+  return {
+    signal: controller.signal,
+    abort,
+    dispose() {
+      parentSignal?.removeEventListener('abort', onParentAbort)
+    },
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw signal.reason
+}
+
+// Settles like `promise`, or rejects with the signal's AbortError as soon as it aborts (`promise` keeps running).
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(signal.reason)
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    Promise.resolve(promise).then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(value)
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      }
+    )
+  })
+}
+
+module.exports = {
+  createCancellation,
+  createChildCancellation,
+  raceWithSignal,
+  throwIfAborted,
+}
@@ -0,0 +1,95 @@
+const { CircuitOpenError } = require('../errors')
+
+/**
+ * @typedef {'closed'|'open'|'half-open'} CircuitState
+ */
+
+/**
+ * Circuit breaker for the Graph endpoint.
+ *
+ * - closed: calls pass; `failureThreshold` consecutive failures open the circuit.
+ * - open: calls fail fast with `CircuitOpenError` until `cooldownMs` has passed.
+ * - half-open: up to `halfOpenMaxCalls` trial calls pass; a success closes the circuit, a failure reopens it.
+ *
+ * Callers wrap each call in `acquire()` followed by exactly one of `recordSuccess()`, `recordFailure()` or
+ * `recordIgnored()` (for outcomes that say nothing about the endpoint's health, e.g. token failures).
+ */
+function createCircuitBreaker({ failureThreshold, cooldownMs, halfOpenMaxCalls, now, onStateChange }) {
+  const effectiveFailureThreshold = failureThreshold ?? 5
+  const effectiveCooldownMs = cooldownMs ?? 30_000
+  const effectiveHalfOpenMaxCalls = halfOpenMaxCalls ?? 1
+
+  if (!Number.isInteger(effectiveFailureThreshold) || effectiveFailureThreshold < 1) {
+    throw new Error('options.circuitBreaker.failureThreshold must be a positive integer')
+  }
+  if (!Number.isFinite(effectiveCooldownMs) || effectiveCooldownMs < 0) {
+    throw new Error('options.circuitBreaker.cooldownMs must be a non-negative number')
+  }
+  if (!Number.isInteger(effectiveHalfOpenMaxCalls) || effectiveHalfOpenMaxCalls < 1) {
+    throw new Error('options.circuitBreaker.halfOpenMaxCalls must be a positive integer')
+  }
+
+  let state = 'closed'
+  let consecutiveFailures = 0
+  let openedAtMs = 0
+  let trialCalls = 0
+
+  const transition = (to) => {
+    const from = state
+    state = to
+    if (to === 'open') openedAtMs = now()
+    if (to === 'half-open') trialCalls = 0
+    if (to === 'closed') consecutiveFailures = 0
+
+    if (typeof onStateChange === 'function') {
+      onStateChange({
+        from,
+        to,
+        failures: consecutiveFailures,
+        ...(to === 'open' ? { reopensAtMs: openedAtMs + effectiveCooldownMs } : {}),
+      })
+    }
+  }
+
+  return {
+    /** @returns {CircuitState} */
+    get state() {
+      return state
+    },
+
+    acquire() {
+      if (state === 'open') {
+        const remainingMs = openedAtMs + effectiveCooldownMs - now()
+        if (remainingMs > 0) throw new CircuitOpenError({ retryAfterMs: remainingMs })
+        transition('half-open')
+      }
+
+      if (state === 'half-open') {
+        // Only the trial calls probe the endpoint; everyone else keeps failing fast until one succeeds.
+        if (trialCalls >= effectiveHalfOpenMaxCalls) throw new CircuitOpenError({ retryAfterMs: 0 })
+        trialCalls += 1
+      }
+    },
+
+    recordSuccess() {
+      consecutiveFailures = 0
+      if (state === 'half-open') transition('closed')
+    },
+
+    recordFailure() {
+      consecutiveFailures += 1
+      if (state === 'half-open' || (state === 'closed' && consecutiveFailures >= effectiveFailureThreshold)) {
+        transition('open')
+      }
+    },
+
+    recordIgnored() {
+      // Hand the trial slot to the next caller.
+      if (state === 'half-open') trialCalls = Math.max(0, trialCalls - 1)
+    },
+  }
+}
+
+module.exports = {
+  createCircuitBreaker,
+}
@@ -0,0 +1,64 @@
+const crypto = require('node:crypto')
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+
+// Assertions are single-use and short-lived; Entra ID accepts up to 10 minutes.
+const ASSERTION_LIFETIME_SECONDS = 600
+
+function base64Url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+function normalizeThumbprint({ thumbprint, certificate }) {
+  if (thumbprint) {
+    const hex = String(thumbprint).replace(/:/g, '')
+    if (!/^[0-9a-fA-F]{40}$/.test(hex)) throw new Error('options.auth.clientCertificate.thumbprint must be a SHA-1 hex')
+    return hex
+  }
+
+  if (certificate) {
+    // X509Certificate#fingerprint is the SHA-1 thumbprint as "AA:BB:...".
+    return new crypto.X509Certificate(certificate).fingerprint.replace(/:/g, '')
+  }
+
+  throw new Error('options.auth.clientCertificate.thumbprint or certificate is required')
+}
+
+/**
+ * Create a signer for JWT client assertions (RFC 7523) backed by a certificate's private key.
+ *
+ * Returns `(audience) => jwt`, where `audience` is the token endpoint URL the assertion is sent to.
+ */
+function createCertificateClientAssertion({ clientId, privateKey, thumbprint, certificate, now }) {
+  if (!clientId) throw new Error('options.auth.clientId is required')
+  if (!privateKey) throw new Error('options.auth.clientCertificate.privateKey is required')
+
+  const effectiveNow = typeof now === 'function' ? now : () => Date.now()
+  const key = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey)
+  const x5t = base64Url(Buffer.from(normalizeThumbprint({ thumbprint, certificate }), 'hex'))
+
+  return function signClientAssertion(audience) {
+    const issuedAt = Math.floor(effectiveNow() / 1000)
+
+    const header = { alg: 'RS256', typ: 'JWT', x5t }
+    const payload = {
+      aud: audience,
+      iss: clientId,
+      sub: clientId,
+      jti: crypto.randomUUID(),
+      nbf: issuedAt,
+      iat: issuedAt,
+      exp: issuedAt + ASSERTION_LIFETIME_SECONDS,
+    }
+
+    const signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key)
+
+    return `${signingInput}.${base64Url(signature)}`
+  }
+}
+
+module.exports = {
+  CLIENT_ASSERTION_TYPE,
+  createCertificateClientAssertion,
+}
@@ -0,0 +1,119 @@
+const { DependencyCycleError } = require('../errors')
+const { chunkArray } = require('./utils')
+
+function getDependsOn(req) {
+  if (req.dependsOn === undefined || req.dependsOn === null) return []
+  const list = Array.isArray(req.dependsOn) ? req.dependsOn : [req.dependsOn]
+  return list.map((dep) => String(dep))
+}
+
+/**
+ * Split requests into $batch chunks while honoring `dependsOn`. Returns chunks of request indexes.
+ *
+ * - Requests connected through `dependsOn` form one group; each group is topologically ordered
+ *   (ties keep input order) and packed into a single chunk when it fits.
+ * - Groups larger than `size` are split into consecutive chunks, so every prerequisite lands in the
+ *   same chunk as its dependent or in an earlier one.
+ * - Without any `dependsOn` the chunks match `chunkArray(requests, size)`.
+ */
+function planDependencyChunks(requests, size) {
+  const indexById = new Map()
+  requests.forEach((req, index) => {
+    indexById.set(String(req.id), index)
+  })
+
+  const depsByIndex = requests.map((req) => {
+    const deps = []
+    for (const dep of getDependsOn(req)) {
+      if (!indexById.has(dep)) throw new Error(`Request ${req.id} dependsOn unknown request id ${dep}`)
+      const depIndex = indexById.get(dep)
+      if (!deps.includes(depIndex)) deps.push(depIndex)
+    }
+    return deps
+  })
+
+  if (depsByIndex.every((deps) => deps.length === 0)) {
+    return chunkArray(
+      requests.map((_, index) => index),
+      size
+    )
+  }
+
+  // Union-find over dependency edges to collect connected groups.
+  const parent = requests.map((_, index) => index)
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]]
+      i = parent[i]
+    }
+    return i
+  }
+  depsByIndex.forEach((deps, index) => {
+    for (const dep of deps) parent[find(index)] = find(dep)
+  })
+
+  const groups = new Map()
+  requests.forEach((_, index) => {
+    const root = find(index)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(index)
+  })
+
+  const chunks = []
+  let current = []
+
+  for (const members of groups.values()) {
+    const ordered = topologicalOrder(members, depsByIndex, requests)
+
+    if (ordered.length > size) {
+      if (current.length > 0) chunks.push(current)
+      current = []
+      chunks.push(...chunkArray(ordered, size))
+      continue
+    }
+
+    if (current.length + ordered.length > size) {
+      chunks.push(current)
+      current = []
+    }
+    current.push(...ordered)
+  }
+
+  if (current.length > 0) chunks.push(current)
+  return chunks
+}
+
+function topologicalOrder(members, depsByIndex, requests) {
+  // Kahn's algorithm; `members` is already in input order, so picking the first ready index keeps ties stable.
+  const remaining = new Map()
+  for (const index of members) remaining.set(index, depsByIndex[index].length)
+
+  const dependents = new Map()
+  for (const index of members) {
+    for (const dep of depsByIndex[index]) {
+      if (!dependents.has(dep)) dependents.set(dep, [])
+      dependents.get(dep).push(index)
+    }
+  }
+
+  const ordered = []
+  while (remaining.size > 0) {
+    const next = members.find((index) => remaining.get(index) === 0)
+    if (next === undefined) {
+      throw new DependencyCycleError({ ids: [...remaining.keys()].map((index) => String(requests[index].id)) })
+    }
+
+    remaining.delete(next)
+    ordered.push(next)
+    for (const dependent of dependents.get(next) ?? []) {
+      if (remaining.has(dependent)) remaining.set(dependent, remaining.get(dependent) - 1)
+    }
+  }
+
+  return ordered
+}
+
+module.exports = {
+  getDependsOn,
+  planDependencyChunks,
+}
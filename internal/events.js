@@ -0,0 +1,28 @@
+const CLIENT_EVENTS = ['request', 'response', 'retry', 'throttled', 'sleep', 'paginationPage', 'chunkStart', 'chunkEnd']
+
+/**
+ * Lifecycle listeners from `options.on`, keyed by event name (see README for the payloads).
+ * Returns `emit(event, payload)`. Listeners are called synchronously from inside the call, so they should be
+ * cheap; a listener that throws fails the Graph call it was observing.
+ */
+function createEventEmitter(listeners) {
+  if (listeners === undefined || listeners === null) return () => {}
+  if (typeof listeners !== 'object') throw new Error('options.on must be an object of event listeners')
+
+  for (const [event, listener] of Object.entries(listeners)) {
+    if (!CLIENT_EVENTS.includes(event)) {
+      throw new Error(`options.on.${event} is not a known event (expected one of ${CLIENT_EVENTS.join(', ')})`)
+    }
+    if (typeof listener !== 'function') throw new Error(`options.on.${event} must be a function`)
+  }
+
+  return function emit(event, payload) {
+    const listener = listeners[event]
+    if (listener) listener(payload)
+  }
+}
+
+module.exports = {
+  CLIENT_EVENTS,
+  createEventEmitter,
+}
@@ -0,0 +1,68 @@
+/**
+ * Per-call execution record behind `options.includeMetadata`: what happened to each subrequest (attempts,
+ * statuses, delays, Retry-After values, pagination pages) plus call-wide totals. Threaded through the call
+ * like `signal`; every recording site is skipped when the option is off.
+ */
+function createExecutionMetadata() {
+  const byId = new Map()
+  let sleepMs = 0
+  let throttledMs = 0
+  let outerRetries = 0
+  let subrequestRetries = 0
+
+  const entryFor = (id) => {
+    const key = String(id)
+    let entry = byId.get(key)
+    if (!entry) {
+      entry = { attempts: 0, statuses: [], delaysMs: [], retryAfterMs: [], pages: 0 }
+      byId.set(key, entry)
+    }
+    return entry
+  }
+
+  return {
+    // A subresponse came back from a $batch POST.
+    recordAttempt(id, status) {
+      const entry = entryFor(id)
+      entry.attempts += 1
+      entry.statuses.push(status)
+    },
+
+    // The subrequest is about to be resent after `delayMs`; `retryAfterMs` is its own Retry-After, if honored.
+    recordSubrequestRetry(id, { delayMs, retryAfterMs }) {
+      const entry = entryFor(id)
+      entry.delaysMs.push(delayMs)
+      if (retryAfterMs !== null && retryAfterMs !== undefined) entry.retryAfterMs.push(retryAfterMs)
+      subrequestRetries += 1
+    },
+
+    recordPage(id) {
+      entryFor(id).pages += 1
+    },
+
+    recordOuterRetry() {
+      outerRetries += 1
+    },
+
+    recordSleep(delayMs) {
+      sleepMs += delayMs
+    },
+
+    recordThrottle(delayMs) {
+      throttledMs += delayMs
+    },
+
+    forResponse(id) {
+      const { attempts, statuses, delaysMs, retryAfterMs, pages } = entryFor(id)
+      return { attempts, statuses: [...statuses], delaysMs: [...delaysMs], retryAfterMs: [...retryAfterMs], pages }
+    },
+
+    summary({ chunkCount, durationMs }) {
+      return { chunkCount, durationMs, sleepMs, throttledMs, outerRetries, subrequestRetries }
+    },
+  }
+}
+
+module.exports = {
+  createExecutionMetadata,
+}
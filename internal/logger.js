@@ -0,0 +1,27 @@
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+/**
+ * Structured logging through an injected pino-style logger: `logger[level](fields, message)`.
+ * pino, bunyan and `console` work as-is; for winston pass an adapter such as
+ * `{ info: (fields, message) => winston.info(message, fields), ... }`. Without a logger nothing is logged.
+ */
+function createLogger(logger, redact) {
+  if (logger === undefined || logger === null) return { debug: noop, info: noop, warn: noop, error: noop }
+
+  for (const level of LOG_LEVELS) {
+    if (typeof logger[level] !== 'function')
+      throw new Error('options.logger must implement debug, info, warn and error')
+  }
+
+  // Fields go through the client's redactor, if any. Called as methods: pino and friends rely on `this`.
+  const prepare = redact ? (fields) => redact.value(fields) : (fields) => fields
+  return Object.fromEntries(
+    LOG_LEVELS.map((level) => [level, (fields, message) => logger[level](prepare(fields), message)])
+  )
+}
+
+module.exports = {
+  createLogger,
+}
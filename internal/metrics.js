@@ -0,0 +1,175 @@
+const DEFAULT_DURATION_BUCKETS_SECONDS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`
+}
+
+// Samples are keyed by their rendered label set, so equal labels always hit the same series.
+const seriesKey = (labels) =>
+  formatLabels(Object.fromEntries(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))))
+
+/**
+ * Minimal Prometheus-style registry: counters and histograms rendered in the text exposition format,
+ * with no dependency on a metrics library. Pass one registry to any number of clients with `options.metrics`.
+ *
+ * - `counter(name, help)` / `histogram(name, help, buckets?)` return the existing family when called again.
+ * - `render()` returns the text served from a `/metrics` endpoint; `reset()` clears every sample.
+ */
+function createMetricsRegistry({ prefix = 'm365_graph_batch_' } = {}) {
+  const families = new Map()
+
+  const getOrCreate = (name, type, create) => {
+    const fullName = `${prefix}${name}`
+    const existing = families.get(fullName)
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`)
+      return existing.api
+    }
+    const family = { type, ...create(fullName) }
+    families.set(fullName, family)
+    return family.api
+  }
+
+  return {
+    counter(name, help) {
+      return getOrCreate(name, 'counter', (fullName) => {
+        const series = new Map()
+        return {
+          help,
+          series,
+          render: () => [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`),
+          api: {
+            inc(labels = {}, value = 1) {
+              const key = seriesKey(labels)
+              const entry = series.get(key) ?? { labels, value: 0 }
+              entry.value += value
+              series.set(key, entry)
+            },
+          },
+        }
+      })
+    },
+
+    histogram(name, help, buckets = DEFAULT_DURATION_BUCKETS_SECONDS) {
+      return getOrCreate(name, 'histogram', (fullName) => {
+        const bounds = [...buckets].sort((a, b) => a - b)
+        const series = new Map()
+        return {
+          help,
+          series,
+          render: () =>
+            [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+              ...bounds.map((le, i) => `${fullName}_bucket${formatLabels({ ...labels, le: String(le) })} ${counts[i]}`),
+              `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+              `${fullName}_sum${formatLabels(labels)} ${sum}`,
+              `${fullName}_count${formatLabels(labels)} ${count}`,
+            ]),
+          api: {
+            observe(labels, value) {
+              const key = seriesKey(labels)
+              const entry = series.get(key) ?? { labels, counts: bounds.map(() => 0), sum: 0, count: 0 }
+              bounds.forEach((le, i) => {
+                if (value <= le) entry.counts[i] += 1
+              })
+              entry.sum += value
+              entry.count += 1
+              series.set(key, entry)
+            },
+          },
+        }
+      })
+    },
+
+    render() {
+      const lines = []
+      for (const [fullName, family] of families) {
+        lines.push(`# HELP ${fullName} ${family.help}`, `# TYPE ${fullName} ${family.type}`, ...family.render())
+      }
+      return lines.length > 0 ? `${lines.join('\n')}\n` : ''
+    },
+
+    reset() {
+      for (const family of families.values()) family.series.clear()
+    },
+  }
+}
+
+/**
+ * The client's metric families, fed from its lifecycle events (`record(event, payload)`), from `batch()`
+ * (`observeBatchDuration`) and from the built-in token providers (`recordTokenRefresh`).
+ */
+function createClientMetrics(registry) {
+  if (!registry || typeof registry.counter !== 'function' || typeof registry.histogram !== 'function') {
+    throw new Error('options.metrics must be a registry from createMetricsRegistry()')
+  }
+
+  const subrequests = registry.counter('subrequests_total', 'Subrequests submitted to batch().')
+  const subrequestStatuses = registry.counter(
+    'subrequest_responses_total',
+    'Final subresponses by status code, after retries.'
+  )
+  const httpResponses = registry.counter(
+    'http_responses_total',
+    'Graph HTTP attempts by stage and status code ("error" when no response arrived).'
+  )
+  const retries = registry.counter('retries_total', 'Retries by stage (subrequest, batch, pagination).')
+  const throttleSeconds = registry.counter(
+    'throttle_sleep_seconds_total',
+    'Time all requests were paused by 429 Retry-After.'
+  )
+  const retrySleepSeconds = registry.counter(
+    'retry_sleep_seconds_total',
+    'Time spent waiting before retries, by reason.'
+  )
+  const paginationPages = registry.counter('pagination_pages_total', 'Pages fetched through @odata.nextLink.')
+  const tokenRefreshes = registry.counter('token_refreshes_total', 'Token endpoint requests by result.')
+  const requestDuration = registry.histogram('request_duration_seconds', 'Graph HTTP attempt latency by stage.')
+  const batchDuration = registry.histogram('batch_duration_seconds', 'batch() call latency.')
+
+  return {
+    record(event, payload) {
+      switch (event) {
+        case 'chunkStart':
+          subrequests.inc({}, payload.ids.length)
+          break
+        case 'chunkEnd':
+          for (const status of payload.statuses ?? []) subrequestStatuses.inc({ status })
+          break
+        case 'response':
+          httpResponses.inc({ stage: payload.stage, status: payload.status ?? 'error' })
+          requestDuration.observe({ stage: payload.stage }, payload.durationMs / 1000)
+          break
+        case 'retry':
+          retries.inc({ stage: payload.stage })
+          break
+        case 'throttled':
+          throttleSeconds.inc({}, payload.delayMs / 1000)
+          break
+        case 'sleep':
+          retrySleepSeconds.inc({ reason: payload.reason }, payload.delayMs / 1000)
+          break
+        case 'paginationPage':
+          paginationPages.inc()
+          break
+      }
+    },
+
+    observeBatchDuration(durationMs) {
+      batchDuration.observe({}, durationMs / 1000)
+    },
+
+    recordTokenRefresh(result) {
+      tokenRefreshes.inc({ result })
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_DURATION_BUCKETS_SECONDS,
+  createClientMetrics,
+  createMetricsRegistry,
+}
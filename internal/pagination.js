@@ -3,8 +3,17 @@ const {
   PaginationExternalNextLinkError,
   PaginationNonJsonError,
 } = require('../errors')
-
-function createPaginationHandler({ getWithGlobalRetry, graphOrigin, maxPaginationPages }) {
+const { createLogger } = require('./logger')
+const { createTracing } = require('./tracing')
+
+function createPaginationHandler({
+  getWithGlobalRetry,
+  graphOrigin,
+  maxPaginationPages,
+  emit = () => {},
+  tracing = createTracing(),
+  log = createLogger(),
+}) {
   const resolveNextLink = (link, { id }) => {
     let absolute
     try {
@@ -33,10 +42,65 @@ function createPaginationHandler({ getWithGlobalRetry, graphOrigin, maxPaginatio
     return link
   }
 
+  // Follows `@odata.nextLink` starting from `firstPage` and yields every fetched page.
+  // `cursor.url` always holds the link that is (or would be) fetched next, so callers can restore it on failure.
+  // `requestOptions` is passed through to `getWithGlobalRetry` (per-call backoff etc.).
+  async function* followNextLinks(firstPage, { id, cursor, requestOptions }) {
+    cursor.url = firstPage['@odata.nextLink']
+    cursor.url = resolveNextLink(cursor.url, { id })
+
+    let pageCount = 0
+    while (cursor.url) {
+      pageCount += 1
+      if (pageCount > maxPaginationPages) {
+        throw new PaginationExceededMaxPagesError({ max: maxPaginationPages, id })
+      }
+
+      const spanAttributes = { 'graph.subrequest.id': String(id), 'graph.pagination.page_number': pageCount + 1 }
+      const page = await tracing.inSpan('graph.pagination.page', { attributes: spanAttributes }, async (span) => {
+        const fetched = await getWithGlobalRetry(cursor.url, requestOptions)
+        if (!fetched || typeof fetched !== 'object') {
+          throw new PaginationNonJsonError({ id })
+        }
+        span.setAttribute('graph.pagination.item_count', Array.isArray(fetched.value) ? fetched.value.length : 0)
+        return fetched
+      })
+
+      const progress = {
+        id,
+        chunkIndex: requestOptions?.chunkIndex,
+        pageNumber: pageCount + 1,
+        itemCount: Array.isArray(page.value) ? page.value.length : 0,
+        hasNextLink: Boolean(page['@odata.nextLink']),
+      }
+      emit('paginationPage', progress)
+      requestOptions?.execution?.recordPage(id)
+      log.debug({ correlationId: requestOptions?.correlationId, ...progress }, 'Fetched pagination page')
+
+      yield page
+      cursor.url = page['@odata.nextLink'] ? resolveNextLink(page['@odata.nextLink'], { id }) : null
+    }
+  }
+
   const api = {
+    /**
+     * Iterate the pages of a collection body: the body itself first, then every `@odata.nextLink` page.
+     * Pages are fetched lazily, one per iteration step.
+     */
+    async *iteratePages(body, { id, requestOptions }) {
+      if (!body || typeof body !== 'object') return
+
+      yield body
+      if (!body['@odata.nextLink']) return
+
+      yield* followNextLinks(body, { id, cursor: {}, requestOptions })
+    },
+
     async paginateResponsesInPlace(responseList, requestMetaById, options = {}) {
       const mode = options.mode ?? 'strict'
       const onError = typeof options.onError === 'function' ? options.onError : () => {}
+      // With `onPage`, pages are handed to the caller instead of being aggregated into `body.value`.
+      const onPage = typeof options.onPage === 'function' ? options.onPage : null
 
       // Only handles JSON bodies with { value: [], "@odata.nextLink": "..." } for GET requests.
       for (const resp of responseList) {
@@ -47,29 +111,27 @@ function createPaginationHandler({ getWithGlobalRetry, graphOrigin, maxPaginatio
         if (!Array.isArray(resp.body.value)) continue
 
         const nextLink = resp.body['@odata.nextLink']
-        if (!nextLink) continue
+        // Single-page collections still reach `onPage`, as page 1.
+        if (!nextLink && !onPage) continue
 
+        // In onPage mode `body.value` keeps only the first page.
         const aggregated = resp.body.value.slice()
-
-        let url = nextLink
-        let pageCount = 0
+        const cursor = { url: nextLink }
 
         try {
-          url = resolveNextLink(nextLink, { id: resp.id })
-
-          while (url) {
-            pageCount += 1
-            if (pageCount > maxPaginationPages) {
-              throw new PaginationExceededMaxPagesError({ max: maxPaginationPages, id: resp.id })
-            }
-
-            const page = await getWithGlobalRetry(url)
-            if (!page || typeof page !== 'object') {
-              throw new PaginationNonJsonError({ id: resp.id })
-            }
-
-            if (Array.isArray(page.value)) aggregated.push(...page.value)
-            url = page['@odata.nextLink'] ? resolveNextLink(page['@odata.nextLink'], { id: resp.id }) : null
+          let pageNumber = 1
+          if (onPage) await onPage({ id: resp.id, pageNumber, value: resp.body.value, page: resp.body })
+          if (!nextLink) continue
+
+          for await (const page of followNextLinks(resp.body, {
+            id: resp.id,
+            cursor,
+            requestOptions: options.requestOptions,
+          })) {
+            pageNumber += 1
+            const value = Array.isArray(page.value) ? page.value : []
+            if (onPage) await onPage({ id: resp.id, pageNumber, value, page })
+            else aggregated.push(...value)
           }
 
           resp.body.value = aggregated
@@ -78,9 +140,9 @@ function createPaginationHandler({ getWithGlobalRetry, graphOrigin, maxPaginatio
           if (mode !== 'partial') throw err
 
           resp.body.value = aggregated
-          resp.body['@odata.nextLink'] = url
+          if (cursor.url) resp.body['@odata.nextLink'] = cursor.url
 
-          onError(err, { id: resp.id, nextLink: url })
+          onError(err, { id: resp.id, nextLink: cursor.url })
         }
       }
     },
@@ -0,0 +1,93 @@
+const { raceWithSignal } = require('./cancellation')
+
+/**
+ * Client-wide request gate shared by every `batch()` call on one client.
+ *
+ * - `throttle(delayMs)` pauses all callers until the delay has passed (Graph answered 429 with Retry-After).
+ *   Overlapping pauses are merged; the latest end wins. The pause's single sleep starts with its first waiter and
+ *   is cancelled once every waiter has aborted; a later `acquire()` resumes it for the time that is left.
+ * - With `requestsPerSecond`, `acquire()` also spaces requests out as a token bucket holding up to `burst`
+ *   requests (GCRA: each caller reserves the next free slot, so no polling is needed).
+ * - `acquire({ signal })` stops waiting when `signal` aborts and rejects with its reason.
+ */
+function createRateLimiter({ requestsPerSecond, burst, now, sleep }) {
+  if (requestsPerSecond !== undefined && (!Number.isFinite(requestsPerSecond) || requestsPerSecond <= 0)) {
+    throw new Error('options.rateLimit.requestsPerSecond must be a positive number')
+  }
+  if (burst !== undefined && (!Number.isInteger(burst) || burst < 1)) {
+    throw new Error('options.rateLimit.burst must be a positive integer')
+  }
+
+  const intervalMs = requestsPerSecond ? 1000 / requestsPerSecond : 0
+  const burstToleranceMs = ((burst ?? 1) - 1) * intervalMs
+
+  let nextSlotAtMs = 0
+  let throttledUntilMs = 0
+  let pause = null
+
+  function startPause(current) {
+    current.controller = new AbortController()
+    // A resumed pause only waits for what is left of it.
+    const delayMs = current.cancelled ? Math.max(0, current.untilMs - now()) : current.delayMs
+    current.promise = Promise.resolve(sleep(delayMs, { signal: current.controller.signal })).then(() => {
+      current.settled = true
+      if (pause === current) pause = null
+    })
+    // Rejects only when cancelled, i.e. once nobody is waiting on it.
+    current.promise.catch(() => {})
+  }
+
+  async function waitForPause(signal) {
+    // A newer pause may replace the one being awaited; keep waiting until none is active.
+    while (pause) {
+      const current = pause
+      if (!current.promise) startPause(current)
+      current.waiters += 1
+      try {
+        await raceWithSignal(current.promise, signal)
+      } finally {
+        current.waiters -= 1
+        if (current.waiters === 0 && !current.settled) {
+          current.controller.abort()
+          current.promise = null
+          current.cancelled = true
+        }
+      }
+    }
+  }
+
+  return {
+    get throttledUntilMs() {
+      return throttledUntilMs
+    },
+
+    throttle(delayMs) {
+      if (!(delayMs > 0)) return
+
+      const untilMs = now() + delayMs
+      if (pause && untilMs <= throttledUntilMs) return
+      throttledUntilMs = untilMs
+
+      pause = { delayMs, untilMs, promise: null, controller: null, waiters: 0, settled: false, cancelled: false }
+    },
+
+    async acquire({ signal } = {}) {
+      await waitForPause(signal)
+      if (intervalMs === 0) return
+
+      const nowMs = now()
+      const slotAtMs = Math.max(nextSlotAtMs, nowMs)
+      nextSlotAtMs = slotAtMs + intervalMs
+
+      const waitMs = slotAtMs - burstToleranceMs - nowMs
+      if (waitMs > 0) {
+        await raceWithSignal(sleep(waitMs, { signal }), signal)
+        await waitForPause(signal)
+      }
+    },
+  }
+}
+
+module.exports = {
+  createRateLimiter,
+}
@@ -0,0 +1,186 @@
+const REDACTED = '[REDACTED]'
+const REDACTED_EMAIL = '[REDACTED_EMAIL]'
+
+const DEFAULT_REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+const DEFAULT_REDACTED_FIELDS = [
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_secret',
+  'client_assertion',
+  'password',
+]
+const DEFAULT_REDACTED_QUERY_PARAMS = ['access_token', 'refresh_token', 'id_token', 'code', 'sig', 'client_secret']
+const DEFAULT_MAX_RESPONSE_TEXT_LENGTH = 2048
+
+// Deep enough for error entries, log fields and axios configs; anything below is dropped.
+const MAX_VALUE_DEPTH = 8
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const alternation = (names) => names.map(escapeRegExp).join('|')
+
+const BEARER_PATTERN = /\b(Bearer)\s+[A-Za-z0-9\-._~+/]+=*/gi
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/gi
+const TRUNCATED_SUFFIX_PATTERN = /… \[truncated \d+ chars\]$/
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== 'object') return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+const validateNames = (names, name) => {
+  if (names === undefined) return []
+  if (!Array.isArray(names) || !names.every((n) => typeof n === 'string' && n.length > 0)) {
+    throw new Error(`options.redact.${name} must be an array of non-empty strings`)
+  }
+  return names.map((n) => n.toLowerCase())
+}
+
+/**
+ * Redaction applied to everything the client hands back or writes out: thrown errors, partial-mode `errors[]`
+ * entries, log fields and trace attributes. On by default; `options.redact` extends the built-in rules, and
+ * `redact: false` turns the layer off.
+ *
+ * - `headers` / `fields`: object keys (header names, JSON / form fields) whose values are replaced.
+ * - `queryParams`: `name=value` pairs in URLs and form bodies.
+ * - `emails` (default true): email addresses, plain or URL-encoded.
+ * - `patterns`: extra RegExps, every match is replaced.
+ * - `maxResponseTextLength`: cap on the response text embedded in errors.
+ *
+ * Bearer tokens and JWTs are always redacted.
+ */
+function createRedactor(options) {
+  if (options === false) {
+    const identity = (value) => value
+    return { text: identity, responseText: identity, value: identity, error: identity }
+  }
+  if (options !== undefined && (options === null || typeof options !== 'object')) {
+    throw new Error('options.redact must be false or an object')
+  }
+
+  const {
+    headers = [],
+    fields = [],
+    queryParams = [],
+    emails = true,
+    patterns = [],
+    maxResponseTextLength = DEFAULT_MAX_RESPONSE_TEXT_LENGTH,
+  } = options ?? {}
+
+  if (!Array.isArray(patterns) || !patterns.every((p) => p instanceof RegExp)) {
+    throw new Error('options.redact.patterns must be an array of RegExp')
+  }
+  if (!Number.isFinite(maxResponseTextLength) || maxResponseTextLength <= 0) {
+    throw new Error('options.redact.maxResponseTextLength must be a positive number')
+  }
+
+  const redactedKeys = new Set([
+    ...DEFAULT_REDACTED_HEADERS,
+    ...DEFAULT_REDACTED_FIELDS,
+    ...validateNames(headers, 'headers'),
+    ...validateNames(fields, 'fields'),
+  ])
+  const fieldNames = [...DEFAULT_REDACTED_FIELDS, ...validateNames(fields, 'fields')]
+  const paramNames = [...new Set([...DEFAULT_REDACTED_QUERY_PARAMS, ...validateNames(queryParams, 'queryParams')])]
+
+  const jsonFieldPattern = new RegExp(`("(?:${alternation(fieldNames)})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi')
+  const paramPattern = new RegExp(
+    `(^|[?&;#\\s])(${alternation([...new Set([...paramNames, ...fieldNames])])})=[^&#\\s"']*`,
+    'gi'
+  )
+  const customPatterns = patterns.map((p) => new RegExp(p.source, p.flags.includes('g') ? p.flags : `${p.flags}g`))
+
+  const text = (value) => {
+    if (typeof value !== 'string' || value.length === 0) return value
+    let out = value
+      .replace(jsonFieldPattern, `$1"${REDACTED}"`)
+      .replace(paramPattern, `$1$2=${REDACTED}`)
+      .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+      .replace(JWT_PATTERN, REDACTED)
+    if (emails) out = out.replace(EMAIL_PATTERN, REDACTED_EMAIL)
+    for (const pattern of customPatterns) out = out.replace(pattern, REDACTED)
+    return out
+  }
+
+  const responseText = (value) => {
+    const redacted = text(value)
+    if (typeof redacted !== 'string' || redacted.length <= maxResponseTextLength) return redacted
+    if (TRUNCATED_SUFFIX_PATTERN.test(redacted)) return redacted
+    return `${redacted.slice(0, maxResponseTextLength)}… [truncated ${redacted.length - maxResponseTextLength} chars]`
+  }
+
+  // Errors are redacted in place (they are rethrown as-is), once.
+  const redactedErrors = new WeakSet()
+
+  const value = (input, depth = 0, seen = new WeakSet()) => {
+    if (typeof input === 'string') return text(input)
+    if (input instanceof Error) return error(input)
+    if (!input || typeof input !== 'object') return input
+    if (!Array.isArray(input) && !isPlainObject(input)) return input
+    if (seen.has(input) || depth >= MAX_VALUE_DEPTH) return '[Truncated]'
+    seen.add(input)
+
+    if (Array.isArray(input)) return input.map((item) => value(item, depth + 1, seen))
+
+    const out = {}
+    for (const [key, item] of Object.entries(input)) {
+      out[key] =
+        redactedKeys.has(key.toLowerCase()) && item !== undefined && item !== null
+          ? REDACTED
+          : value(item, depth + 1, seen)
+    }
+    return out
+  }
+
+  const redactConfig = (config) =>
+    config && typeof config === 'object'
+      ? {
+          ...config,
+          url: text(config.url),
+          headers: value(config.headers ? { ...config.headers } : config.headers),
+          data: value(config.data),
+        }
+      : config
+
+  const error = (err) => {
+    if (!err || typeof err !== 'object' || redactedErrors.has(err)) return err
+    redactedErrors.add(err)
+
+    // Messages of errors that carry a responseText were built from the capped text; others (e.g. OAuth
+    // failures) may embed a whole response body. Only assigned when something changed: some errors
+    // (e.g. DOMException) have a read-only message.
+    const message = typeof err.responseText === 'string' ? text(err.message) : responseText(err.message)
+    if (typeof message === 'string' && message !== err.message) {
+      if (typeof err.stack === 'string') {
+        err.stack = err.stack.includes(err.message) ? err.stack.replace(err.message, message) : text(err.stack)
+      }
+      err.message = message
+    }
+    for (const key of ['responseText', 'nextLink', 'url']) {
+      if (typeof err[key] === 'string') err[key] = responseText(err[key])
+    }
+    if (err.config) err.config = redactConfig(err.config)
+    if (err.response && typeof err.response === 'object') {
+      err.response = {
+        ...err.response,
+        config: redactConfig(err.response.config),
+        headers: value(err.response.headers ? { ...err.response.headers } : err.response.headers),
+        data: typeof err.response.data === 'string' ? responseText(err.response.data) : value(err.response.data),
+      }
+      delete err.response.request
+    }
+    // The raw request (e.g. Node's ClientRequest) still holds the Authorization header: keep it off serializers.
+    if (err.request) Object.defineProperty(err, 'request', { value: err.request, enumerable: false })
+    if (err.cause) error(err.cause)
+    return err
+  }
+
+  return { text, responseText, value, error }
+}
+
+module.exports = {
+  DEFAULT_MAX_RESPONSE_TEXT_LENGTH,
+  createRedactor,
+}
@@ -0,0 +1,150 @@
+/**
+ * @typedef {'subrequest'|'batch'|'pagination'} RetryStage
+ */
+
+/**
+ * Input to `options.retryPolicy`, consulted for every failed response and network error.
+ *
+ * - `stage: 'subrequest'`: `request` is the caller's BatchRequest, `response` its subresponse.
+ * - `stage: 'batch'|'pagination'`: `request` is the outer `$batch` POST or nextLink GET (`{ method, url }`),
+ *   `response` its HTTP response (`{ status, headers, body }`), or `error` when no response arrived.
+ *   For `'batch'`, `subrequests` holds the caller's BatchRequests in the payload.
+ *
+ * @typedef {Object} RetryContext
+ * @property {RetryStage} stage
+ * @property {Object} request
+ * @property {{ status: number, headers: Object<string,string>, body: any }} [response]
+ * @property {any} [error]
+ * @property {Object[]} [subrequests] Stage `'batch'` only.
+ * @property {number} attempt 1-based attempt that produced `response` / `error`.
+ * @property {boolean} defaultRetry What the client would decide without a policy.
+ */
+
+/**
+ * `true`/`false`, `{ retry, delayMs? }`, or `undefined` to keep the default decision.
+ * `delayMs` replaces Retry-After/backoff for this retry.
+ * @typedef {boolean|{ retry: boolean, delayMs?: number }|undefined} RetryDecision
+ */
+
+// Graph error codes that signal a transient condition even when the HTTP status (often 400/403/409) looks final.
+// Matched case-insensitively against `error.code` and every nested `innerError.code`.
+const DEFAULT_RETRYABLE_ERROR_CODES = [
+  'serviceNotAvailable',
+  'activityLimitReached',
+  'ConcurrencyViolation',
+  'Request_ThrottledTemporarily',
+  'TooManyRequests',
+  'ErrorServerBusy',
+  'ErrorInternalServerTransientError',
+  'ErrorTimeoutExpired',
+]
+
+// Connection failures that happen before anything was sent, so Graph cannot have run the request.
+const NOT_SENT_ERROR_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED'])
+
+// Collects `error.code` and nested `innerError.code` values from a Graph error body.
+function getGraphErrorCodes(body) {
+  let parsed = body
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body)
+    } catch {
+      return []
+    }
+  }
+
+  const codes = []
+  let error = parsed?.error
+  // Depth cap guards against self-referencing bodies.
+  for (let depth = 0; error && typeof error === 'object' && depth < 10; depth += 1) {
+    if (typeof error.code === 'string') codes.push(error.code)
+    error = error.innerError ?? error.innererror
+  }
+  return codes
+}
+
+function normalizeRetryDecision(decision, defaultRetry) {
+  if (decision === undefined || decision === null) return { retry: defaultRetry }
+  if (typeof decision === 'boolean') return { retry: decision }
+
+  const retry = decision.retry === undefined ? defaultRetry : Boolean(decision.retry)
+  const delayMs = Number(decision.delayMs)
+  return Number.isFinite(delayMs) && delayMs >= 0 ? { retry, delayMs } : { retry }
+}
+
+/**
+ * Build the retry decision used by both the subrequest retry loop and outer Graph calls.
+ * Returns `async (context) => ({ retry, delayMs?, nonIdempotent? })`; retry limits (`maxSubrequestRetries`,
+ * `maxBatchRetries`) are still enforced by the caller.
+ *
+ * Subrequests using a `nonIdempotentMethods` method may already have taken effect when they fail with an ambiguous
+ * status (500/502/504, ...), so by default they are only retried when Graph clearly did not run them (429, or 503
+ * with Retry-After) or when the request is marked `idempotent: true`. Such skipped retries come back as
+ * `{ retry: false, nonIdempotent: true }`.
+ *
+ * A `$batch` POST is replayed as a whole, so the same rule applies to it: after an ambiguous outer failure
+ * (5xx, timeout, dropped connection) it is only resent when every subrequest in it is safe. Otherwise the decision
+ * is `{ retry: false, nonIdempotent: true, notRetriedIds }` with the ids of the unsafe subrequests.
+ */
+function createRetryDecider({ retryableStatuses, retryableErrorCodes, nonIdempotentMethods, retryPolicy }) {
+  if (retryPolicy !== undefined && retryPolicy !== null && typeof retryPolicy !== 'function') {
+    throw new Error('options.retryPolicy must be a function')
+  }
+  if (retryableErrorCodes !== undefined && !Array.isArray(retryableErrorCodes)) {
+    throw new Error('options.retryableErrorCodes must be an array of Graph error codes')
+  }
+  if (nonIdempotentMethods !== undefined && !Array.isArray(nonIdempotentMethods)) {
+    throw new Error('options.nonIdempotentMethods must be an array of HTTP methods')
+  }
+
+  const errorCodes = new Set(
+    (retryableErrorCodes ?? DEFAULT_RETRYABLE_ERROR_CODES).map((code) => String(code).toLowerCase())
+  )
+
+  const unsafeMethods = new Set((nonIdempotentMethods ?? ['POST']).map((method) => String(method).toUpperCase()))
+
+  const isRetryableByDefault = ({ response }) => {
+    // Without a response (network error) the call is always worth another attempt.
+    if (!response) return true
+    if (retryableStatuses.has(response.status)) return true
+    return getGraphErrorCodes(response.body).some((code) => errorCodes.has(code.toLowerCase()))
+  }
+
+  const isUnsafeRequest = (request) => {
+    const method = String(request.method || 'GET').toUpperCase()
+    return unsafeMethods.has(method) && request.idempotent !== true
+  }
+
+  // Graph clearly did not run the request: throttled, unavailable with Retry-After, or never sent.
+  const wasNotProcessed = ({ response, error }) => {
+    if (!response) return NOT_SENT_ERROR_CODES.has(error?.code)
+    if (response.status === 429) return true
+    return response.status === 503 && response.headers?.['retry-after'] !== undefined
+  }
+
+  const getDefaultDecision = (context) => {
+    const retryable = isRetryableByDefault(context)
+    if (!retryable || wasNotProcessed(context)) return { retry: retryable }
+
+    if (context.stage === 'subrequest' && isUnsafeRequest(context.request)) return { retry: false, nonIdempotent: true }
+    if (context.stage === 'batch') {
+      const notRetriedIds = (context.subrequests ?? []).filter(isUnsafeRequest).map((r) => String(r.id))
+      if (notRetriedIds.length > 0) return { retry: false, nonIdempotent: true, notRetriedIds }
+    }
+    return { retry: true }
+  }
+
+  return async function decideRetry(context) {
+    const fallback = getDefaultDecision(context)
+    if (!retryPolicy) return fallback
+
+    const decision = await retryPolicy({ ...context, defaultRetry: fallback.retry })
+    return decision === undefined || decision === null ? fallback : normalizeRetryDecision(decision, fallback.retry)
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRYABLE_ERROR_CODES,
+  createRetryDecider,
+  getGraphErrorCodes,
+}
@@ -0,0 +1,155 @@
+const fs = require('node:fs')
+const path = require('node:path')
+
+const { createDefaultSleep } = require('./utils')
+
+/**
+ * @typedef {Object} TokenCacheEntry
+ * @property {string} accessToken
+ * @property {number} expiresAtMs
+ */
+
+/**
+ * Token cache shared by the built-in token providers.
+ *
+ * `lock(key, fn)` runs `fn` exclusively so that only one caller refreshes a given token;
+ * it is optional, and providers call `fn` directly when it is missing.
+ *
+ * @typedef {Object} TokenCache
+ * @property {(key: string) => Promise<TokenCacheEntry|null|undefined>} get
+ * @property {(key: string, entry: TokenCacheEntry) => Promise<void>} set
+ * @property {<T>(key: string, fn: () => Promise<T>) => Promise<T>} [lock]
+ */
+
+/**
+ * In-process cache; share one instance between clients to share their tokens.
+ * @returns {TokenCache}
+ */
+function createMemoryTokenCache() {
+  const entries = new Map()
+  const locks = new Map()
+
+  return {
+    async get(key) {
+      return entries.get(key) ?? null
+    },
+
+    async set(key, entry) {
+      entries.set(key, { accessToken: entry.accessToken, expiresAtMs: entry.expiresAtMs })
+    },
+
+    async lock(key, fn) {
+      const previous = locks.get(key) ?? Promise.resolve()
+      const run = previous.then(fn, fn)
+      const tail = run.catch(() => {})
+      locks.set(key, tail)
+      try {
+        return await run
+      } finally {
+        if (locks.get(key) === tail) locks.delete(key)
+      }
+    },
+  }
+}
+
+/**
+ * JSON file cache shared between processes on one host.
+ *
+ * Entries for all keys live in `filePath` (written with mode 0600). `lock()` takes an exclusive
+ * `<filePath>.lock` file; locks older than `lockStaleMs` are considered abandoned and removed.
+ *
+ * @returns {TokenCache}
+ */
+function createFileTokenCache({ filePath, lockTimeoutMs, lockStaleMs, lockRetryMs, sleep, now }) {
+  if (!filePath) throw new Error('options.filePath is required')
+
+  const effectiveLockTimeoutMs = lockTimeoutMs ?? 10_000
+  const effectiveLockStaleMs = lockStaleMs ?? 30_000
+  const effectiveLockRetryMs = lockRetryMs ?? 50
+  const effectiveSleep = sleep ?? createDefaultSleep()
+  const effectiveNow = typeof now === 'function' ? now : () => Date.now()
+  const lockPath = `${filePath}.lock`
+
+  async function readAll() {
+    let text
+    try {
+      text = await fs.promises.readFile(filePath, 'utf8')
+    } catch (err) {
+      if (err?.code === 'ENOENT') return {}
+      throw err
+    }
+
+    try {
+      const parsed = JSON.parse(text)
+      return parsed && typeof parsed === 'object' ? parsed : {}
+    } catch {
+      // A corrupt cache only costs a token request.
+      return {}
+    }
+  }
+
+  async function writeAll(entries) {
+    // Write-then-rename so readers never see a partially written file.
+    const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`)
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entries), { mode: 0o600 })
+    await fs.promises.rename(tmpPath, filePath)
+  }
+
+  async function acquireLock() {
+    const startedAt = effectiveNow()
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx', 0o600)
+        await handle.close()
+        return
+      } catch (err) {
+        if (err?.code !== 'EEXIST') throw err
+      }
+
+      try {
+        const stat = await fs.promises.stat(lockPath)
+        if (effectiveNow() - stat.mtimeMs > effectiveLockStaleMs) {
+          await fs.promises.rm(lockPath, { force: true })
+          continue
+        }
+      } catch (err) {
+        if (err?.code !== 'ENOENT') throw err
+        continue
+      }
+
+      if (effectiveNow() - startedAt >= effectiveLockTimeoutMs) {
+        throw new Error(`Token cache lock timed out after ${effectiveLockTimeoutMs}ms: ${lockPath}`)
+      }
+      await effectiveSleep(effectiveLockRetryMs)
+    }
+  }
+
+  return {
+    async get(key) {
+      const entries = await readAll()
+      return entries[key] ?? null
+    },
+
+    async set(key, entry) {
+      const entries = await readAll()
+      entries[key] = { accessToken: entry.accessToken, expiresAtMs: entry.expiresAtMs }
+      await writeAll(entries)
+    },
+
+    // One lock for the whole file: `set()` rewrites every key.
+    async lock(_key, fn) {
+      await acquireLock()
+      try {
+        return await fn()
+      } finally {
+        await fs.promises.rm(lockPath, { force: true })
+      }
+    },
+  }
+}
+
+module.exports = {
+  createMemoryTokenCache,
+  createFileTokenCache,
+}
@@ -1,73 +1,176 @@
-function createRefreshTokenAccessTokenProvider({
-  axios,
-  tenantId,
-  clientId,
-  clientSecret,
-  refreshToken,
-  scope,
-  now,
-  clockSkewMs,
-}) {
-  const effectiveNow = typeof now === 'function' ? now : () => Date.now()
-  const effectiveClockSkewMs = Number.isFinite(clockSkewMs) ? clockSkewMs : 30_000
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+
+const { CLIENT_ASSERTION_TYPE, createCertificateClientAssertion } = require('./clientAssertion')
+
+const DEFAULT_MANAGED_IDENTITY_ENDPOINT = 'http://169.254.169.254/metadata/identity/oauth2/token'
+
+function validateCommonOptions({ axios, tenantId, clientId }) {
   if (!axios || typeof axios.request !== 'function') throw new Error('options.axios.request is required')
   if (!tenantId) throw new Error('options.auth.tenantId is required')
   if (!clientId) throw new Error('options.auth.clientId is required')
-  if (!clientSecret) throw new Error('options.auth.clientSecret is required')
-  if (!refreshToken) throw new Error('options.auth.refreshToken is required')
+}
 
-  const effectiveScope = scope ?? 'https://graph.microsoft.com/.default offline_access'
+function getTokenEndpoint({ authorityHost, tenantId }) {
+  const host = String(authorityHost ?? 'https://login.microsoftonline.com').replace(/\/$/, '')
+  return `${host}/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`
+}
+
+// Resolves how the app proves its identity at the token endpoint: a client secret,
+// a JWT assertion signed with a certificate, or an assertion supplied by the caller.
+function createClientAuthentication({ clientId, clientSecret, clientCertificate, clientAssertion, now }) {
+  if (clientAssertion) {
+    const getAssertion = typeof clientAssertion === 'function' ? clientAssertion : () => clientAssertion
+    return async (form, { tokenUrl }) => {
+      form.set('client_assertion_type', CLIENT_ASSERTION_TYPE)
+      form.set('client_assertion', await getAssertion({ audience: tokenUrl }))
+    }
+  }
+
+  if (clientCertificate) {
+    const signClientAssertion = createCertificateClientAssertion({ ...clientCertificate, clientId, now })
+    return async (form, { tokenUrl }) => {
+      form.set('client_assertion_type', CLIENT_ASSERTION_TYPE)
+      form.set('client_assertion', signClientAssertion(tokenUrl))
+    }
+  }
+
+  if (!clientSecret) throw new Error('options.auth.clientSecret is required (or clientCertificate / clientAssertion)')
+  return async (form) => {
+    form.set('client_secret', clientSecret)
+  }
+}
+
+// POSTs a form to the token endpoint and validates the token response.
+async function requestToken({ axios, url, form }) {
+  const response = await axios.request({
+    method: 'POST',
+    url,
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+    },
+    data: form.toString(),
+    validateStatus: () => true,
+  })
+
+  return parseTokenResponse(response)
+}
+
+function parseTokenResponse(response, { now } = {}) {
+  if (!response || response.status < 200 || response.status >= 300) {
+    const bodyText = typeof response?.data === 'string' ? response.data : JSON.stringify(response?.data ?? '')
+    throw new Error(`OAuth token refresh failed (${response?.status ?? 'unknown'}): ${bodyText}`)
+  }
+
+  const token = response?.data?.access_token
+  if (!token) throw new Error('OAuth token refresh returned no access_token')
+
+  let expiresInSeconds = Number(response?.data?.expires_in)
+  // Managed identity endpoints may only send `expires_on` (epoch seconds).
+  if (!Number.isFinite(expiresInSeconds) && response?.data?.expires_in === undefined && now) {
+    expiresInSeconds = Number(response?.data?.expires_on) - now() / 1000
+  }
+  if (!Number.isFinite(expiresInSeconds)) throw new Error('OAuth token refresh returned invalid expires_in')
+
+  return { accessToken: token, expiresInSeconds, data: response.data }
+}
+
+// Caches the token returned by `fetchToken` until it is within `clockSkewMs` of expiry,
+// and shares a single in-flight refresh between concurrent callers.
+// With a `tokenCache`, the shared cache is consulted (and refreshed under its lock) before `fetchToken` runs.
+// `getAccessToken({ forceRefresh: true })` drops the current token (e.g. after Graph answered 401) and fetches
+// a new one; a shared cache entry holding the dropped token is ignored.
+// `getAccessToken({ claims })` answers a CAE claims challenge: `fetchToken({ claims })` always runs, and the
+// resulting token replaces the cached one (in the shared cache too, under its lock).
+// `onTokenRefresh('success'|'failure')` is told about every `fetchToken` call (used for client metrics).
+function createCachedAccessTokenProvider({ fetchToken, now, clockSkewMs, tokenCache, cacheKey, onTokenRefresh }) {
+  const effectiveNow = typeof now === 'function' ? now : () => Date.now()
+  const effectiveClockSkewMs = Number.isFinite(clockSkewMs) ? clockSkewMs : 30_000
 
   let cachedToken = null
   let cachedTokenExpiresAtMs = 0
   let pendingRefresh = null
 
-  async function refresh() {
-    const url = `https://login.microsoftonline.com/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`
+  const isFresh = (token, expiresAtMs) => Boolean(token) && expiresAtMs - effectiveClockSkewMs > effectiveNow()
 
-    const form = new URLSearchParams()
-    form.set('client_id', clientId)
-    form.set('client_secret', clientSecret)
-    form.set('grant_type', 'refresh_token')
-    form.set('refresh_token', refreshToken)
-    form.set('scope', effectiveScope)
-
-    const response = await axios.request({
-      method: 'POST',
-      url,
-      headers: {
-        'content-type': 'application/x-www-form-urlencoded',
-      },
-      data: form.toString(),
-      validateStatus: () => true,
-    })
+  const adopt = (entry) => {
+    cachedToken = entry.accessToken
+    cachedTokenExpiresAtMs = entry.expiresAtMs
+    return cachedToken
+  }
 
-    if (!response || response.status < 200 || response.status >= 300) {
-      const bodyText = typeof response?.data === 'string' ? response.data : JSON.stringify(response?.data ?? '')
-      throw new Error(`OAuth token refresh failed (${response?.status ?? 'unknown'}): ${bodyText}`)
+  async function refresh(options) {
+    let fetched
+    try {
+      fetched = await fetchToken(options)
+    } catch (err) {
+      if (typeof onTokenRefresh === 'function') onTokenRefresh('failure')
+      throw err
     }
+    if (typeof onTokenRefresh === 'function') onTokenRefresh('success')
+
+    const { accessToken, expiresInSeconds } = fetched
+    return adopt({ accessToken, expiresAtMs: effectiveNow() + Math.max(0, expiresInSeconds * 1000) })
+  }
 
-    const token = response?.data?.access_token
-    if (!token) throw new Error('OAuth token refresh returned no access_token')
+  async function readSharedCache(rejectedToken) {
+    const entry = await tokenCache.get(cacheKey)
+    if (!entry || entry.accessToken === rejectedToken) return null
+    return isFresh(entry.accessToken, entry.expiresAtMs) ? adopt(entry) : null
+  }
+
+  // Every write to the shared cache runs under its lock (when it has one).
+  function withLock(fn) {
+    return typeof tokenCache.lock === 'function' ? tokenCache.lock(cacheKey, fn) : fn()
+  }
 
-    const expiresInSeconds = Number(response?.data?.expires_in)
-    if (!Number.isFinite(expiresInSeconds)) throw new Error('OAuth token refresh returned invalid expires_in')
+  async function refreshThroughSharedCache(rejectedToken) {
+    const cached = await readSharedCache(rejectedToken)
+    if (cached) return cached
 
-    cachedToken = token
-    cachedTokenExpiresAtMs = effectiveNow() + Math.max(0, expiresInSeconds * 1000)
+    return withLock(async () => {
+      // Another process may have refreshed while we waited for the lock.
+      const refreshed = await readSharedCache(rejectedToken)
+      if (refreshed) return refreshed
 
-    return cachedToken
+      const token = await refresh()
+      await tokenCache.set(cacheKey, { accessToken: token, expiresAtMs: cachedTokenExpiresAtMs })
+      return token
+    })
   }
 
-  return async function getAccessToken() {
-    const timeNow = effectiveNow()
+  async function refreshWithClaims(claims) {
+    if (!tokenCache) return refresh({ claims })
 
-    if (cachedToken && cachedTokenExpiresAtMs - effectiveClockSkewMs > timeNow) {
+    // No read first: a cached token, however fresh, was not issued for these claims.
+    return withLock(async () => {
+      const token = await refresh({ claims })
+      await tokenCache.set(cacheKey, { accessToken: token, expiresAtMs: cachedTokenExpiresAtMs })
+      return token
+    })
+  }
+
+  return async function getAccessToken({ forceRefresh = false, claims } = {}) {
+    // Never joined with a plain refresh: only a token requested with these claims satisfies the challenge.
+    if (claims) {
+      cachedToken = null
+      cachedTokenExpiresAtMs = 0
+      return refreshWithClaims(claims)
+    }
+
+    if (!forceRefresh && isFresh(cachedToken, cachedTokenExpiresAtMs)) {
       return cachedToken
     }
 
+    // A refresh already in flight yields a new token, so forced callers can share it.
     if (!pendingRefresh) {
-      pendingRefresh = refresh().finally(() => {
+      const rejectedToken = forceRefresh ? cachedToken : null
+      if (forceRefresh) {
+        cachedToken = null
+        cachedTokenExpiresAtMs = 0
+      }
+
+      pendingRefresh = (tokenCache ? refreshThroughSharedCache(rejectedToken) : refresh()).finally(() => {
         pendingRefresh = null
       })
     }
@@ -76,6 +179,310 @@ function createRefreshTokenAccessTokenProvider({
   }
 }
 
+function validateTokenCache(tokenCache) {
+  if (tokenCache && (typeof tokenCache.get !== 'function' || typeof tokenCache.set !== 'function')) {
+    throw new Error('options.auth.tokenCache must implement get() and set()')
+  }
+}
+
+// Cache keys identify the token, not the credential used to obtain it.
+function buildCacheKey(parts) {
+  return parts.map((part) => String(part ?? '')).join('|')
+}
+
+// Refresh tokens belong to a user; key on a digest of the configured token so different users never share.
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16)
+}
+
+/**
+ * Refresh-token grant.
+ *
+ * Entra ID may return a new `refresh_token` with each response; it replaces the current one in memory and is
+ * handed to `refreshTokenStore.set()` and `onRefreshTokenRotated()` so it survives restarts. When a store is
+ * given, its stored token (if any) takes precedence over `refreshToken` on the first refresh.
+ */
+function createRefreshTokenAccessTokenProvider({
+  axios,
+  tenantId,
+  clientId,
+  clientSecret,
+  clientCertificate,
+  clientAssertion,
+  refreshToken,
+  refreshTokenStore,
+  onRefreshTokenRotated,
+  scope,
+  authorityHost,
+  now,
+  clockSkewMs,
+  tokenCache,
+  tokenCacheKey,
+  onTokenRefresh,
+}) {
+  validateCommonOptions({ axios, tenantId, clientId })
+  validateTokenCache(tokenCache)
+  const authenticate = createClientAuthentication({ clientId, clientSecret, clientCertificate, clientAssertion, now })
+  if (!refreshToken && !refreshTokenStore) throw new Error('options.auth.refreshToken is required')
+  if (
+    refreshTokenStore &&
+    (typeof refreshTokenStore.get !== 'function' || typeof refreshTokenStore.set !== 'function')
+  ) {
+    throw new Error('options.auth.refreshTokenStore must implement get() and set()')
+  }
+
+  const effectiveScope = scope ?? 'https://graph.microsoft.com/.default offline_access'
+  const tokenUrl = getTokenEndpoint({ authorityHost, tenantId })
+
+  let currentRefreshToken = refreshToken
+  let storeLoaded = !refreshTokenStore
+
+  return createCachedAccessTokenProvider({
+    now,
+    clockSkewMs,
+    tokenCache,
+    onTokenRefresh,
+    cacheKey:
+      tokenCacheKey ??
+      buildCacheKey([
+        'refreshToken',
+        tokenUrl,
+        clientId,
+        effectiveScope,
+        refreshToken ? digest(refreshToken) : 'store',
+      ]),
+    fetchToken: async ({ claims } = {}) => {
+      if (!storeLoaded) {
+        currentRefreshToken = (await refreshTokenStore.get()) || currentRefreshToken
+        storeLoaded = true
+      }
+      if (!currentRefreshToken) throw new Error('options.auth.refreshToken is required')
+
+      const form = new URLSearchParams()
+      form.set('client_id', clientId)
+      await authenticate(form, { tokenUrl })
+      form.set('grant_type', 'refresh_token')
+      form.set('refresh_token', currentRefreshToken)
+      form.set('scope', effectiveScope)
+      if (claims) form.set('claims', claims)
+
+      const result = await requestToken({ axios, url: tokenUrl, form })
+
+      const rotatedRefreshToken = result.data.refresh_token
+      if (rotatedRefreshToken && rotatedRefreshToken !== currentRefreshToken) {
+        currentRefreshToken = rotatedRefreshToken
+        if (refreshTokenStore) await refreshTokenStore.set(rotatedRefreshToken)
+        if (typeof onRefreshTokenRotated === 'function') await onRefreshTokenRotated(rotatedRefreshToken)
+      }
+
+      return result
+    },
+  })
+}
+
+function createClientCredentialsAccessTokenProvider({
+  axios,
+  tenantId,
+  clientId,
+  clientSecret,
+  clientCertificate,
+  clientAssertion,
+  scope,
+  authorityHost,
+  now,
+  clockSkewMs,
+  tokenCache,
+  tokenCacheKey,
+  onTokenRefresh,
+}) {
+  validateCommonOptions({ axios, tenantId, clientId })
+  validateTokenCache(tokenCache)
+  const authenticate = createClientAuthentication({ clientId, clientSecret, clientCertificate, clientAssertion, now })
+
+  // App-only tokens must use the `.default` scope; there is no refresh token to request.
+  const effectiveScope = scope ?? 'https://graph.microsoft.com/.default'
+  const tokenUrl = getTokenEndpoint({ authorityHost, tenantId })
+
+  return createCachedAccessTokenProvider({
+    now,
+    clockSkewMs,
+    tokenCache,
+    onTokenRefresh,
+    cacheKey: tokenCacheKey ?? buildCacheKey(['clientCredentials', tokenUrl, clientId, effectiveScope]),
+    fetchToken: async ({ claims } = {}) => {
+      const form = new URLSearchParams()
+      form.set('client_id', clientId)
+      await authenticate(form, { tokenUrl })
+      form.set('grant_type', 'client_credentials')
+      form.set('scope', effectiveScope)
+      if (claims) form.set('claims', claims)
+
+      return requestToken({ axios, url: tokenUrl, form })
+    },
+  })
+}
+
+/**
+ * Azure workload identity (e.g. Kubernetes): exchanges the projected federated token as a client assertion.
+ *
+ * Settings default to the variables injected by the workload identity webhook. The token file is read
+ * on every token request, so rotated tokens are picked up without restarting.
+ */
+function createWorkloadIdentityAccessTokenProvider({
+  axios,
+  tenantId,
+  clientId,
+  tokenFilePath,
+  scope,
+  authorityHost,
+  now,
+  clockSkewMs,
+  tokenCache,
+  tokenCacheKey,
+  onTokenRefresh,
+  env,
+  readFile,
+}) {
+  const effectiveEnv = env ?? process.env
+  const effectiveTokenFilePath = tokenFilePath ?? effectiveEnv.AZURE_FEDERATED_TOKEN_FILE
+  if (!effectiveTokenFilePath) throw new Error('options.auth.tokenFilePath is required')
+
+  const effectiveReadFile = readFile ?? ((path) => fs.promises.readFile(path, 'utf8'))
+
+  return createClientCredentialsAccessTokenProvider({
+    axios,
+    tenantId: tenantId ?? effectiveEnv.AZURE_TENANT_ID,
+    clientId: clientId ?? effectiveEnv.AZURE_CLIENT_ID,
+    clientAssertion: async () => String(await effectiveReadFile(effectiveTokenFilePath)).trim(),
+    scope,
+    authorityHost: authorityHost ?? effectiveEnv.AZURE_AUTHORITY_HOST,
+    now,
+    clockSkewMs,
+    tokenCache,
+    tokenCacheKey,
+    onTokenRefresh,
+  })
+}
+
+/**
+ * Managed identity via an IMDS-style local endpoint (GET with `resource`, answered with an access token).
+ *
+ * Defaults to Azure IMDS; when `IDENTITY_ENDPOINT`/`IDENTITY_HEADER` are set (App Service, Container Apps)
+ * those are used instead. `clientId` selects a user-assigned identity.
+ *
+ * These endpoints take no `claims` parameter; a claims challenge only bypasses the cached token.
+ */
+function createManagedIdentityAccessTokenProvider({
+  axios,
+  clientId,
+  resource,
+  endpoint,
+  apiVersion,
+  headers,
+  now,
+  clockSkewMs,
+  tokenCache,
+  tokenCacheKey,
+  onTokenRefresh,
+  env,
+}) {
+  if (!axios || typeof axios.request !== 'function') throw new Error('options.axios.request is required')
+  validateTokenCache(tokenCache)
+
+  const effectiveEnv = env ?? process.env
+  const effectiveNow = typeof now === 'function' ? now : () => Date.now()
+
+  const useIdentityEndpoint = !endpoint && effectiveEnv.IDENTITY_ENDPOINT && effectiveEnv.IDENTITY_HEADER
+  const effectiveEndpoint = endpoint ?? (useIdentityEndpoint ? effectiveEnv.IDENTITY_ENDPOINT : null)
+  const effectiveHeaders = useIdentityEndpoint
+    ? { 'x-identity-header': effectiveEnv.IDENTITY_HEADER, ...headers }
+    : { metadata: 'true', ...headers }
+
+  const url = new URL(effectiveEndpoint ?? DEFAULT_MANAGED_IDENTITY_ENDPOINT)
+  url.searchParams.set('api-version', apiVersion ?? (useIdentityEndpoint ? '2019-08-01' : '2018-02-01'))
+  url.searchParams.set('resource', resource ?? 'https://graph.microsoft.com')
+  if (clientId) url.searchParams.set('client_id', clientId)
+
+  return createCachedAccessTokenProvider({
+    now: effectiveNow,
+    clockSkewMs,
+    tokenCache,
+    onTokenRefresh,
+    cacheKey: tokenCacheKey ?? buildCacheKey(['managedIdentity', url.toString()]),
+    fetchToken: async () => {
+      const response = await axios.request({
+        method: 'GET',
+        url: url.toString(),
+        headers: effectiveHeaders,
+        validateStatus: () => true,
+      })
+
+      return parseTokenResponse(response, { now: effectiveNow })
+    },
+  })
+}
+
+/**
+ * Build the token provider selected by the client `auth` option.
+ * `auth.type` defaults to 'refreshToken' for backwards compatibility.
+ */
+function createAccessTokenProviderFromAuth({ axios, auth, now, onTokenRefresh }) {
+  const type = auth.type ?? 'refreshToken'
+  const common = {
+    axios,
+    tenantId: auth.tenantId,
+    clientId: auth.clientId,
+    clientSecret: auth.clientSecret,
+    clientCertificate: auth.clientCertificate,
+    clientAssertion: auth.clientAssertion,
+    scope: auth.scope,
+    authorityHost: auth.authorityHost,
+    now,
+    clockSkewMs: auth.clockSkewMs,
+    tokenCache: auth.tokenCache,
+    tokenCacheKey: auth.tokenCacheKey,
+    onTokenRefresh,
+  }
+
+  if (type === 'refreshToken') {
+    return createRefreshTokenAccessTokenProvider({
+      ...common,
+      refreshToken: auth.refreshToken,
+      refreshTokenStore: auth.refreshTokenStore,
+      onRefreshTokenRotated: auth.onRefreshTokenRotated,
+    })
+  }
+  if (type === 'clientCredentials') {
+    return createClientCredentialsAccessTokenProvider(common)
+  }
+  if (type === 'workloadIdentity') {
+    return createWorkloadIdentityAccessTokenProvider({ ...common, tokenFilePath: auth.tokenFilePath })
+  }
+  if (type === 'managedIdentity') {
+    return createManagedIdentityAccessTokenProvider({
+      axios,
+      clientId: auth.clientId,
+      resource: auth.resource,
+      endpoint: auth.endpoint,
+      apiVersion: auth.apiVersion,
+      headers: auth.headers,
+      now,
+      clockSkewMs: auth.clockSkewMs,
+      tokenCache: auth.tokenCache,
+      tokenCacheKey: auth.tokenCacheKey,
+      onTokenRefresh,
+    })
+  }
+
+  throw new Error(
+    `options.auth.type must be one of refreshToken, clientCredentials, workloadIdentity, managedIdentity (got ${type})`
+  )
+}
+
 module.exports = {
   createRefreshTokenAccessTokenProvider,
+  createClientCredentialsAccessTokenProvider,
+  createWorkloadIdentityAccessTokenProvider,
+  createManagedIdentityAccessTokenProvider,
+  createAccessTokenProviderFromAuth,
 }
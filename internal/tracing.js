@@ -0,0 +1,59 @@
+// Numeric values of `SpanKind.CLIENT` and `SpanStatusCode.ERROR` in `@opentelemetry/api`, which is not a dependency.
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+const noopSpan = {
+  setAttribute() {
+    return this
+  },
+  setAttributes() {
+    return this
+  },
+  addEvent() {
+    return this
+  },
+  setStatus() {
+    return this
+  },
+  recordException() {},
+  end() {},
+  isRecording: () => false,
+}
+
+/**
+ * Tracing on top of an injected OpenTelemetry `Tracer` (e.g. `trace.getTracer('m365-graph-batch-client')`).
+ * Only `startActiveSpan(name, options, fn)` is used, so spans nest through the tracer's own context manager.
+ *
+ * `inSpan(name, { kind?, attributes? }, fn)` runs `fn(span)` inside a new active span; a thrown error is recorded
+ * on the span (status ERROR) and rethrown, and the span always ends. Without a tracer, `fn` gets a no-op span.
+ */
+function createTracing(tracer) {
+  if (tracer === undefined || tracer === null) {
+    return { inSpan: (_name, _options, fn) => fn(noopSpan) }
+  }
+  if (typeof tracer.startActiveSpan !== 'function') {
+    throw new Error('options.tracer must be an OpenTelemetry Tracer (startActiveSpan is required)')
+  }
+
+  return {
+    inSpan(name, { kind, attributes } = {}, fn) {
+      return tracer.startActiveSpan(name, { kind, attributes }, async (span) => {
+        try {
+          return await fn(span)
+        } catch (err) {
+          span.recordException(err)
+          span.setStatus({ code: SPAN_STATUS_ERROR, message: err?.message })
+          throw err
+        } finally {
+          span.end()
+        }
+      })
+    },
+  }
+}
+
+module.exports = {
+  SPAN_KIND_CLIENT,
+  SPAN_STATUS_ERROR,
+  createTracing,
+}
@@ -27,8 +27,41 @@ function getRetryAfterMs(headers, now = () => Date.now()) {
   return null
 }
 
+// Continuous Access Evaluation: a 401 may carry `WWW-Authenticate: Bearer ..., error="insufficient_claims",
+// claims="<base64 JSON>"`. Returns the decoded claims JSON, or null when there is no (readable) challenge.
+function getClaimsChallenge(headers) {
+  const normalized = normalizeHeaders(headers)
+  const match = /\bclaims="([^"]*)"/i.exec(normalized['www-authenticate'] ?? '')
+  if (!match) return null
+
+  const decoded = Buffer.from(match[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8')
+  try {
+    JSON.parse(decoded)
+  } catch {
+    return null
+  }
+  return decoded
+}
+
+// `sleep(ms, { signal })` rejects with `signal.reason` on abort and clears its timer, so an aborted call does not
+// keep the process alive for the rest of the delay.
 function createDefaultSleep() {
-  return (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+  return (ms, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+      const onAbort = () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }, ms)
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
 }
 
 function chunkArray(arr, size) {
@@ -92,6 +125,7 @@ function toFullUrl({ graphBaseUrl, urlOrPath }) {
 module.exports = {
   normalizeHeaders,
   getRetryAfterMs,
+  getClaimsChallenge,
   createDefaultSleep,
   chunkArray,
   toRelativeBatchUrl,
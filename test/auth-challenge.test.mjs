@@ -0,0 +1,307 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { ClaimsChallengeError, createMemoryTokenCache, getClaimsChallenge, M365GraphBatchClient } from '..'
+import {
+  createClientCredentialsAccessTokenProvider,
+  createManagedIdentityAccessTokenProvider,
+  createRefreshTokenAccessTokenProvider,
+} from '../internal/tokenProvider'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createMockSleep() {
+  const calls = []
+  const sleep = async (ms) => {
+    calls.push(ms)
+  }
+  return { sleep, calls }
+}
+
+// Token endpoint issues `token-<n>`; Graph answers with `graphResponse(config, n)` for every other call.
+function createAuthAxios(graphResponse) {
+  const tokenCalls = []
+  const graphCalls = []
+
+  const axios = {
+    request: vi.fn(async (config) => {
+      if (config.url.includes('/oauth2/v2.0/token')) {
+        tokenCalls.push(Object.fromEntries(new URLSearchParams(config.data)))
+        return createAxiosResponse({ data: { access_token: `token-${tokenCalls.length}`, expires_in: 3600 } })
+      }
+
+      graphCalls.push(config)
+      return graphResponse(config, graphCalls.length)
+    }),
+  }
+
+  return { axios, tokenCalls, graphCalls }
+}
+
+const okBatch = (config) =>
+  createAxiosResponse({
+    data: { responses: config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} })) },
+  })
+
+const unauthorized = () => createAxiosResponse({ status: 401, data: { error: { code: 'InvalidAuthenticationToken' } } })
+
+const claims = '{"access_token":{"nbf":{"essential":true,"value":"1604106651"}}}'
+
+const claimsChallenge = () =>
+  createAxiosResponse({
+    status: 401,
+    headers: {
+      'WWW-Authenticate': `Bearer realm="", authorization_uri="https://login.microsoftonline.com/common/oauth2/authorize", error="insufficient_claims", claims="${Buffer.from(claims).toString('base64')}"`,
+    },
+    data: {
+      error: {
+        code: 'InvalidAuthenticationToken',
+        message: 'Continuous access evaluation resulted in claims challenge',
+      },
+    },
+  })
+
+const auth = { type: 'clientCredentials', tenantId: 'tenant', clientId: 'client', clientSecret: 'secret' }
+
+describe('401 re-authentication', () => {
+  test('drops the cached token and replays $batch once with a fresh one', async () => {
+    const sleep = createMockSleep()
+    const { axios, tokenCalls, graphCalls } = createAuthAxios((config, n) =>
+      n === 1 ? unauthorized() : okBatch(config)
+    )
+
+    const client = new M365GraphBatchClient({ axios, auth, sleep: sleep.sleep })
+    const out = await client.batch([{ id: '1', url: '/users' }], { mode: 'strict' })
+
+    expect(out.responses['1'].status).toBe(200)
+    expect(tokenCalls).toHaveLength(2)
+    expect(graphCalls.map((c) => c.headers.authorization)).toEqual(['Bearer token-1', 'Bearer token-2'])
+    expect(sleep.calls).toEqual([])
+
+    // The fresh token is cached for later calls.
+    await client.batch([{ id: '2', url: '/me' }])
+    expect(tokenCalls).toHaveLength(2)
+  })
+
+  test('passes forceRefresh to a custom getAccessToken', async () => {
+    const getAccessToken = vi.fn(async (options) => (options?.forceRefresh ? 'fresh' : 'stale'))
+    const { axios, graphCalls } = createAuthAxios((config) =>
+      config.headers.authorization === 'Bearer stale' ? unauthorized() : okBatch(config)
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken })
+    const out = await client.batch([{ id: '1', url: '/users' }])
+
+    expect(out.partial).toBe(false)
+    expect(getAccessToken.mock.calls).toEqual([[], [{ forceRefresh: true }]])
+    expect(graphCalls).toHaveLength(2)
+  })
+
+  test('fails when the replay also returns 401', async () => {
+    const { axios, tokenCalls, graphCalls } = createAuthAxios(() => unauthorized())
+
+    const client = new M365GraphBatchClient({ axios, auth })
+
+    await expect(client.batch([{ id: '1', url: '/users' }], { mode: 'strict' })).rejects.toThrow(
+      /Request failed \(401\)/
+    )
+    expect(graphCalls).toHaveLength(2)
+    expect(tokenCalls).toHaveLength(2)
+
+    // Like other non-network failures, a persistent 401 throws in partial mode too.
+    await expect(client.batch([{ id: '1', url: '/users' }])).rejects.toMatchObject({ status: 401 })
+  })
+
+  test('re-authenticates pagination requests too', async () => {
+    const { axios, tokenCalls, graphCalls } = createAuthAxios((config, n) => {
+      if (config.method === 'POST') {
+        return createAxiosResponse({
+          data: {
+            responses: [
+              {
+                id: '1',
+                status: 200,
+                headers: {},
+                body: { value: [1], '@odata.nextLink': 'https://graph.microsoft.com/v1.0/users?$skiptoken=a' },
+              },
+            ],
+          },
+        })
+      }
+      return n === 2 ? unauthorized() : createAxiosResponse({ data: { value: [2] } })
+    })
+
+    const client = new M365GraphBatchClient({ axios, auth })
+    const out = await client.batch([{ id: '1', url: '/users' }], { paginate: true })
+
+    expect(out.responses['1'].body.value).toEqual([1, 2])
+    expect(graphCalls).toHaveLength(3)
+    expect(tokenCalls).toHaveLength(2)
+  })
+
+  test('forceRefresh bypasses the shared token cache entry that was rejected', async () => {
+    const { axios, tokenCalls } = createAuthAxios(okBatch)
+    const tokenCache = createMemoryTokenCache()
+
+    const first = createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })
+    const second = createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })
+
+    expect(await first()).toBe('token-1')
+    expect(await first({ forceRefresh: true })).toBe('token-2')
+    expect(await second()).toBe('token-2')
+
+    // A provider that never held the rejected token adopts the replacement from the cache.
+    const third = createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })
+    expect(await third({ forceRefresh: true })).toBe('token-2')
+    expect(tokenCalls).toHaveLength(2)
+  })
+
+  test('concurrent forced refreshes share one token request', async () => {
+    const { axios, tokenCalls } = createAuthAxios(okBatch)
+    const getAccessToken = createClientCredentialsAccessTokenProvider({ axios, ...auth })
+
+    expect(await getAccessToken()).toBe('token-1')
+    const tokens = await Promise.all([getAccessToken({ forceRefresh: true }), getAccessToken({ forceRefresh: true })])
+
+    expect(tokens).toEqual(['token-2', 'token-2'])
+    expect(tokenCalls).toHaveLength(2)
+  })
+})
+
+describe('CAE claims challenge', () => {
+  test('getClaimsChallenge decodes base64 and base64url claims', () => {
+    const header = (value) => ({ 'WWW-Authenticate': `Bearer error="insufficient_claims", claims="${value}"` })
+
+    expect(getClaimsChallenge(header(Buffer.from(claims).toString('base64')))).toBe(claims)
+    expect(getClaimsChallenge(header(Buffer.from(claims).toString('base64url')))).toBe(claims)
+    expect(getClaimsChallenge(header('bm90IGpzb24='))).toBeNull()
+    expect(getClaimsChallenge({ 'www-authenticate': 'Bearer realm=""' })).toBeNull()
+    expect(getClaimsChallenge({})).toBeNull()
+  })
+
+  test('requests a token with the claims and replays the call', async () => {
+    const { axios, tokenCalls, graphCalls } = createAuthAxios((config, n) =>
+      n === 1 ? claimsChallenge() : okBatch(config)
+    )
+
+    const client = new M365GraphBatchClient({ axios, auth })
+    const out = await client.batch([{ id: '1', url: '/users' }], { mode: 'strict' })
+
+    expect(out.responses['1'].status).toBe(200)
+    expect(tokenCalls.map((form) => form.claims)).toEqual([undefined, claims])
+    expect(graphCalls.map((c) => c.headers.authorization)).toEqual(['Bearer token-1', 'Bearer token-2'])
+  })
+
+  test('passes claims to a custom getAccessToken', async () => {
+    const getAccessToken = vi.fn(async (options) => (options?.claims ? 'cae' : 'revoked'))
+    const { axios } = createAuthAxios((config) =>
+      config.headers.authorization === 'Bearer revoked' ? claimsChallenge() : okBatch(config)
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken })
+    await client.batch([{ id: '1', url: '/users' }])
+
+    expect(getAccessToken.mock.calls).toEqual([[], [{ forceRefresh: true, claims }]])
+  })
+
+  test('throws ClaimsChallengeError when the new token is challenged again', async () => {
+    const { axios, tokenCalls, graphCalls } = createAuthAxios(() => claimsChallenge())
+
+    const client = new M365GraphBatchClient({ axios, auth })
+    const err = await client.batch([{ id: '1', url: '/users' }]).catch((e) => e)
+
+    expect(err).toBeInstanceOf(ClaimsChallengeError)
+    expect(err).toMatchObject({ status: 401, claims })
+    expect(err.message).toMatch(/Claims challenge could not be satisfied \(401\)/)
+    expect(graphCalls).toHaveLength(2)
+    expect(tokenCalls).toHaveLength(2)
+  })
+
+  test('throws ClaimsChallengeError when the token endpoint rejects the claims', async () => {
+    const getAccessToken = vi.fn(async (options) => {
+      if (options?.claims) throw new Error('interaction_required')
+      return 't'
+    })
+    const { axios } = createAuthAxios(() => claimsChallenge())
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken })
+    const err = await client.batch([{ id: '1', url: '/users' }], { mode: 'strict' }).catch((e) => e)
+
+    expect(err).toBeInstanceOf(ClaimsChallengeError)
+    expect(err).toMatchObject({
+      stage: 'auth',
+      claims,
+      cause: expect.objectContaining({ message: 'interaction_required' }),
+    })
+    expect(err.message).toMatch(/interaction_required/)
+  })
+
+  test('a plain 401 followed by a claims challenge is replayed with claims', async () => {
+    const { axios, tokenCalls } = createAuthAxios((config, n) => {
+      if (n === 1) return unauthorized()
+      if (n === 2) return claimsChallenge()
+      return okBatch(config)
+    })
+
+    const client = new M365GraphBatchClient({ axios, auth })
+    const out = await client.batch([{ id: '1', url: '/users' }], { mode: 'strict' })
+
+    expect(out.responses['1'].status).toBe(200)
+    expect(tokenCalls.map((form) => form.claims)).toEqual([undefined, undefined, claims])
+  })
+
+  test('providers always fetch for claims and cache the result', async () => {
+    const { axios, tokenCalls } = createAuthAxios(okBatch)
+    const tokenCache = createMemoryTokenCache()
+
+    const getAccessToken = createRefreshTokenAccessTokenProvider({
+      axios,
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientSecret: 'secret',
+      refreshToken: 'rt',
+      tokenCache,
+    })
+
+    expect(await getAccessToken()).toBe('token-1')
+    expect(await getAccessToken({ claims })).toBe('token-2')
+    expect(await getAccessToken({ claims })).toBe('token-3')
+    expect(await getAccessToken()).toBe('token-3')
+    expect(tokenCalls.map((form) => [form.grant_type, form.claims])).toEqual([
+      ['refresh_token', undefined],
+      ['refresh_token', claims],
+      ['refresh_token', claims],
+    ])
+
+    const other = createRefreshTokenAccessTokenProvider({
+      axios,
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientSecret: 'secret',
+      refreshToken: 'rt',
+      tokenCache,
+    })
+    expect(await other()).toBe('token-3')
+  })
+
+  test('managed identity bypasses its cache for claims', async () => {
+    let n = 0
+    const axios = {
+      request: vi.fn(async () => createAxiosResponse({ data: { access_token: `mi-${++n}`, expires_in: 3600 } })),
+    }
+
+    const getAccessToken = createManagedIdentityAccessTokenProvider({ axios, env: {} })
+
+    expect(await getAccessToken()).toBe('mi-1')
+    expect(await getAccessToken({ claims })).toBe('mi-2')
+    expect(axios.request.mock.calls[1][0].url).not.toMatch(/claims/)
+  })
+})
@@ -0,0 +1,146 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { BACKOFF_STRATEGIES, M365GraphBatchClient } from '..'
+import { createBackoff } from '../internal/backoff'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createMockSleep() {
+  const calls = []
+  const sleep = async (ms) => {
+    calls.push(ms)
+  }
+  return { sleep, calls }
+}
+
+// Subrequests fail with 500 `failures` times, then succeed.
+function createFailingAxios(failures) {
+  const calls = []
+  const axios = {
+    request: vi.fn(async (config) => {
+      calls.push(config)
+      const status = calls.length <= failures ? 500 : 200
+      const responses = config.data.requests.map((r) => ({ id: r.id, status, headers: {}, body: {} }))
+      return createAxiosResponse({ data: { responses } })
+    }),
+  }
+  return { axios, calls }
+}
+
+const base = { initialBackoffMs: 100, maxBackoffMs: 1000, jitterRatio: 0.25, rng: () => 0.5 }
+const delays = (backoff, attempts) => {
+  const out = []
+  let previousDelayMs = 0
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    previousDelayMs = backoff.computeBackoffMs(attempt, { previousDelayMs })
+    out.push(previousDelayMs)
+  }
+  return out
+}
+
+describe('backoff strategies', () => {
+  test('built-in strategies are deterministic with an injected rng', () => {
+    expect(BACKOFF_STRATEGIES).toEqual(['exponential', 'fullJitter', 'decorrelatedJitter', 'fixed', 'linear'])
+
+    expect(delays(createBackoff(base), 5)).toEqual([100, 200, 400, 800, 1000])
+    expect(delays(createBackoff({ ...base, rng: () => 0 }), 2)).toEqual([75, 150])
+    expect(delays(createBackoff({ ...base, strategy: 'fullJitter' }), 5)).toEqual([50, 100, 200, 400, 500])
+    expect(delays(createBackoff({ ...base, strategy: 'decorrelatedJitter' }), 5)).toEqual([200, 350, 575, 912, 1000])
+    expect(delays(createBackoff({ ...base, strategy: 'fixed' }), 3)).toEqual([100, 100, 100])
+    expect(delays(createBackoff({ ...base, strategy: 'linear' }), 12)).toEqual([
+      100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1000, 1000,
+    ])
+  })
+
+  test('custom functions receive the context and must return a valid delay', () => {
+    const custom = vi.fn(({ attempt, previousDelayMs, random }) => attempt * 10 + previousDelayMs + random())
+    expect(delays(createBackoff({ ...base, strategy: custom }), 2)).toEqual([10.5, 31])
+    expect(custom).toHaveBeenCalledWith(
+      expect.objectContaining({ attempt: 1, previousDelayMs: 0, initialBackoffMs: 100, maxBackoffMs: 1000 })
+    )
+
+    expect(() => createBackoff({ ...base, strategy: () => -1 }).computeBackoffMs(1)).toThrow(
+      /Custom backoff returned an invalid delay: -1/
+    )
+    expect(() => createBackoff({ ...base, strategy: 'polynomial' })).toThrow(
+      /options\.backoff must be one of exponential, fullJitter, decorrelatedJitter, fixed, linear or a function/
+    )
+  })
+
+  test('client backoff applies to subrequest retries, and batch() can override it', async () => {
+    const sleep = createMockSleep()
+    const { axios } = createFailingAxios(3)
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: sleep.sleep,
+      initialBackoffMs: 100,
+      backoff: 'linear',
+    })
+    await client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })
+    expect(sleep.calls).toEqual([100, 200, 300])
+
+    sleep.calls.length = 0
+    const second = createFailingAxios(3)
+    const overridden = new M365GraphBatchClient({
+      axios: second.axios,
+      getAccessToken: async () => 't',
+      sleep: sleep.sleep,
+      initialBackoffMs: 100,
+      rng: () => 0.5,
+      backoff: 'linear',
+    })
+    await overridden.batch([{ id: '1', url: '/a' }], { mode: 'strict', backoff: 'decorrelatedJitter' })
+    expect(sleep.calls).toEqual([200, 350, 575])
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { backoff: 'nope' })).rejects.toThrow(/options\.backoff/)
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', backoff: 'nope' })).toThrow(
+      /options\.backoff/
+    )
+  })
+
+  test('outer call retries and pagination use the per-call backoff', async () => {
+    const sleep = createMockSleep()
+    let n = 0
+    const axios = {
+      request: vi.fn(async (config) => {
+        n += 1
+        if (config.method === 'POST') {
+          if (n === 1) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+          return createAxiosResponse({
+            data: {
+              responses: [
+                {
+                  id: '1',
+                  status: 200,
+                  headers: {},
+                  body: { value: [1], '@odata.nextLink': 'https://graph.microsoft.com/v1.0/users?$skiptoken=a' },
+                },
+              ],
+            },
+          })
+        }
+        return n === 3 ? createAxiosResponse({ status: 502, data: {} }) : createAxiosResponse({ data: { value: [2] } })
+      }),
+    }
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: sleep.sleep })
+    const out = await client.batch([{ id: '1', url: '/users' }], {
+      mode: 'strict',
+      backoff: ({ attempt }) => attempt * 7,
+    })
+
+    expect(out.responses['1'].body.value).toEqual([1, 2])
+    expect(sleep.calls).toEqual([7, 7])
+  })
+})
@@ -0,0 +1,199 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { AbortError, M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Never settles on its own; rejects like axios once the request's signal aborts.
+function hangUntilAborted(config) {
+  return new Promise((_resolve, reject) => {
+    config.signal.addEventListener('abort', () => {
+      reject(Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' }))
+    })
+  })
+}
+
+const neverSleep = () => new Promise(() => {})
+
+const batchOf = (config, status = 200, extra = {}) =>
+  createAxiosResponse({
+    data: { responses: config.data.requests.map((r) => ({ id: r.id, status, headers: {}, body: {}, ...extra })) },
+  })
+
+describe('cancellation', () => {
+  test('aborting the signal cancels the in-flight $batch call (strict)', async () => {
+    const controller = new AbortController()
+    const { axios, calls } = createHandlerAxios((config) => {
+      setTimeout(() => controller.abort(new Error('user navigated away')), 0)
+      return hangUntilAborted(config)
+    })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const err = await client
+      .batch([{ id: '1', url: '/me' }], { mode: 'strict', signal: controller.signal })
+      .catch((e) => e)
+
+    expect(err).toBeInstanceOf(AbortError)
+    expect(err.message).toBe('batch() was aborted: user navigated away')
+    expect(err.reason).toEqual(new Error('user navigated away'))
+    expect(calls).toHaveLength(1)
+    expect(calls[0].signal.aborted).toBe(true)
+  })
+
+  test('partial mode keeps finished chunks and reports the aborted one', async () => {
+    const controller = new AbortController()
+    const { axios, calls } = createHandlerAxios((config, n) => {
+      if (n === 1) return batchOf(config)
+      setTimeout(() => controller.abort(), 0)
+      return hangUntilAborted(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      maxRequestsPerBatch: 1,
+    })
+
+    const out = await client.batch(
+      [
+        { id: 'a', url: '/a' },
+        { id: 'b', url: '/b' },
+        { id: 'c', url: '/c' },
+      ],
+      { signal: controller.signal }
+    )
+
+    // The third chunk is not sent at all.
+    expect(calls).toHaveLength(2)
+    expect(out.partial).toBe(true)
+    expect(out.responseList.map((r) => r.status)).toEqual([200, 599, 599])
+    expect(out.responses.b.body).toEqual({
+      error: { code: 'RequestAborted', message: 'batch() was aborted: This operation was aborted' },
+      stage: 'aborted',
+    })
+    expect(out.errors.map(({ stage, type }) => ({ stage, type }))).toEqual([
+      { stage: 'aborted', type: 'AbortError' },
+      { stage: 'aborted', type: 'AbortError' },
+    ])
+  })
+
+  test('deadlineMs cuts a retry wait short and keeps the last subresponse', async () => {
+    const { axios, calls } = createHandlerAxios((config) => batchOf(config, 503))
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: neverSleep })
+
+    const out = await client.batch([{ id: '1', url: '/a' }], { deadlineMs: 20 })
+
+    expect(calls).toHaveLength(1)
+    expect(out.responses['1'].status).toBe(503)
+    expect(out.errors).toEqual([
+      { id: '1', stage: 'aborted', type: 'AbortError', message: 'batch() exceeded its deadline of 20ms', status: 503 },
+    ])
+
+    const err = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict', deadlineMs: 20 }).catch((e) => e)
+    expect(err).toBeInstanceOf(AbortError)
+    expect(err.deadlineMs).toBe(20)
+  })
+
+  test('deadlineMs also cuts outer retry and throttle waits short', async () => {
+    const { axios } = createHandlerAxios(() => createAxiosResponse({ status: 429, headers: { 'retry-after': '60' } }))
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: neverSleep })
+
+    const err = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict', deadlineMs: 20 }).catch((e) => e)
+
+    expect(err).toBeInstanceOf(AbortError)
+  })
+
+  test('an abort clears the timers of the default sleep, so the process can exit', async () => {
+    const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout')
+    const clearTimeoutSpy = vi.spyOn(globalThis, 'clearTimeout')
+    const responses = [
+      // Retry-After on a throttled $batch: waited out in the client-wide pause.
+      () => createAxiosResponse({ status: 429, headers: { 'retry-after': '20' } }),
+      // Retry-After on a 503: a plain retry wait.
+      () => createAxiosResponse({ status: 503, headers: { 'retry-after': '20' } }),
+      // Subrequest backoff.
+      (config) => batchOf(config, 503),
+    ]
+
+    try {
+      for (const respond of responses) {
+        setTimeoutSpy.mockClear()
+        clearTimeoutSpy.mockClear()
+        const { axios } = createHandlerAxios(respond)
+        const client = new M365GraphBatchClient({
+          axios,
+          getAccessToken: async () => 't',
+          initialBackoffMs: 20_000,
+          jitterRatio: 0,
+        })
+
+        const err = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict', deadlineMs: 20 }).catch((e) => e)
+
+        expect(err).toBeInstanceOf(AbortError)
+        const waits = setTimeoutSpy.mock.results.filter((_, i) => setTimeoutSpy.mock.calls[i][1] === 20_000)
+        expect(waits).toHaveLength(1)
+        expect(clearTimeoutSpy).toHaveBeenCalledWith(waits[0].value)
+      }
+    } finally {
+      setTimeoutSpy.mockRestore()
+      clearTimeoutSpy.mockRestore()
+    }
+  })
+
+  test('stops pagination and keeps the nextLink to resume from', async () => {
+    const controller = new AbortController()
+    const nextLink = (token) => `https://graph.microsoft.com/v1.0/users?$skiptoken=${token}`
+    const { axios, calls } = createHandlerAxios((config) => {
+      if (config.method === 'POST') {
+        return batchOf(config, 200, { body: { value: [1], '@odata.nextLink': nextLink('a') } })
+      }
+      controller.abort()
+      return createAxiosResponse({ data: { value: [2], '@odata.nextLink': nextLink('b') } })
+    })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const out = await client.batch([{ id: 'users', url: '/users' }], { signal: controller.signal })
+
+    expect(calls).toHaveLength(2)
+    expect(out.responses.users.body).toEqual({ value: [1, 2], '@odata.nextLink': nextLink('b') })
+    expect(out.errors).toEqual([
+      {
+        id: 'users',
+        stage: 'aborted',
+        type: 'AbortError',
+        message: 'batch() was aborted: This operation was aborted',
+      },
+    ])
+  })
+
+  test('an already aborted signal sends nothing', async () => {
+    const { axios } = createHandlerAxios((config) => batchOf(config))
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    await expect(
+      client.batch([{ id: '1', url: '/a' }], { mode: 'strict', signal: AbortSignal.abort() })
+    ).rejects.toBeInstanceOf(AbortError)
+    expect(axios.request).not.toHaveBeenCalled()
+  })
+
+  test('validates signal and deadlineMs', async () => {
+    const client = new M365GraphBatchClient({ axios: { request: vi.fn() }, getAccessToken: async () => 't' })
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { signal: {} })).rejects.toThrow(
+      /options\.signal must be an AbortSignal/
+    )
+    await expect(client.batch([{ id: '1', url: '/a' }], { deadlineMs: 0 })).rejects.toThrow(
+      /options\.deadlineMs must be a positive number/
+    )
+  })
+})
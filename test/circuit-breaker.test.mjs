@@ -0,0 +1,210 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { CircuitOpenError, M365GraphBatchClient } from '..'
+import { createCircuitBreaker } from '../internal/circuitBreaker'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createNetworkError() {
+  const err = new Error('socket hang up')
+  err.code = 'ECONNRESET'
+  return err
+}
+
+const okBatch = (config) =>
+  createAxiosResponse({
+    data: { responses: config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} })) },
+  })
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures, half-opens after the cooldown and closes on success', () => {
+    let now = 0
+    const events = []
+    const breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      cooldownMs: 1000,
+      now: () => now,
+      onStateChange: (event) => events.push(event),
+    })
+
+    breaker.acquire()
+    breaker.recordFailure()
+    breaker.acquire()
+    breaker.recordSuccess()
+    breaker.acquire()
+    breaker.recordFailure()
+    expect(breaker.state).toBe('closed')
+
+    breaker.acquire()
+    breaker.recordFailure()
+    expect(breaker.state).toBe('open')
+    expect(() => breaker.acquire()).toThrow(CircuitOpenError)
+
+    now = 400
+    expect(() => breaker.acquire()).toThrow(/retry in 600ms/)
+
+    now = 1000
+    breaker.acquire()
+    expect(breaker.state).toBe('half-open')
+    // Only one trial call at a time.
+    expect(() => breaker.acquire()).toThrow(CircuitOpenError)
+
+    breaker.recordSuccess()
+    expect(breaker.state).toBe('closed')
+    expect(events).toEqual([
+      { from: 'closed', to: 'open', failures: 2, reopensAtMs: 1000 },
+      { from: 'open', to: 'half-open', failures: 2 },
+      { from: 'half-open', to: 'closed', failures: 0 },
+    ])
+  })
+
+  test('a failed trial reopens the circuit and ignored outcomes free the trial slot', () => {
+    let now = 0
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 100, now: () => now })
+
+    breaker.acquire()
+    breaker.recordFailure()
+    now = 100
+    breaker.acquire()
+    breaker.recordIgnored()
+    breaker.acquire()
+    breaker.recordFailure()
+    expect(breaker.state).toBe('open')
+    expect(() => breaker.acquire()).toThrow(/retry in 100ms/)
+  })
+
+  test('validates options', () => {
+    const now = () => 0
+    expect(() => createCircuitBreaker({ failureThreshold: 0, now })).toThrow(/failureThreshold/)
+    expect(() => createCircuitBreaker({ cooldownMs: -1, now })).toThrow(/cooldownMs/)
+    expect(() => createCircuitBreaker({ halfOpenMaxCalls: 1.5, now })).toThrow(/halfOpenMaxCalls/)
+  })
+
+  test('fails fast once open: CircuitOpenError in strict mode, synthetic 599 in partial mode', async () => {
+    let now = 0
+    const events = []
+    const { axios, calls } = createHandlerAxios((config, n) => {
+      if (n <= 2) throw createNetworkError()
+      return okBatch(config)
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      now: () => now,
+      maxBatchRetries: 0,
+      circuitBreaker: { failureThreshold: 2, cooldownMs: 60_000, onStateChange: (e) => events.push(e.to) },
+    })
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toThrow(/socket hang up/)
+    const out = await client.batch([{ id: '1', url: '/a' }])
+    expect(out.responses['1'].status).toBe(599)
+    expect(events).toEqual(['open'])
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toThrow(CircuitOpenError)
+    const shortCircuited = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b' },
+    ])
+    expect(calls).toHaveLength(2)
+    expect(shortCircuited.partial).toBe(true)
+    expect(shortCircuited.responseList.map((r) => [r.status, r.body.error.code])).toEqual([
+      [599, 'BatchRequestFailed'],
+      [599, 'BatchRequestFailed'],
+    ])
+    expect(shortCircuited.errors).toEqual([
+      expect.objectContaining({
+        stage: 'batch',
+        type: 'CircuitOpenError',
+        message: expect.stringMatching(/retry in 60000ms/),
+      }),
+    ])
+
+    now = 60_000
+    const recovered = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })
+    expect(recovered.responses['1'].status).toBe(200)
+    expect(events).toEqual(['open', 'half-open', 'closed'])
+  })
+
+  test('only outage-like failures count', async () => {
+    const events = []
+    const { axios } = createHandlerAxios((_config, n) =>
+      n % 2 === 1
+        ? createAxiosResponse({ status: 400, data: { error: { code: 'BadRequest' } } })
+        : createAxiosResponse({ status: 500, data: {} })
+    )
+
+    let tokenFails = false
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => {
+        if (tokenFails) throw new Error('token endpoint down')
+        return 't'
+      },
+      maxBatchRetries: 0,
+      circuitBreaker: { failureThreshold: 2, onStateChange: (e) => events.push(e.to) },
+    })
+
+    for (let i = 0; i < 4; i++) {
+      await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toThrow(
+        /Request (failed|exceeded)/
+      )
+    }
+    tokenFails = true
+    for (let i = 0; i < 3; i++) {
+      await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toThrow(/token endpoint down/)
+    }
+
+    expect(events).toEqual([])
+  })
+
+  test('subrequests waiting for a retry get 599 when the circuit opens meanwhile (partial mode)', async () => {
+    const pendingSleeps = []
+    const sleep = (ms) =>
+      new Promise((resolve) => {
+        pendingSleeps.push({ ms, resolve })
+      })
+
+    const { axios, calls } = createHandlerAxios((config) => {
+      const [first] = config.data.requests
+      if (first.id === 'b') throw createNetworkError()
+      return createAxiosResponse({ data: { responses: [{ id: 'a', status: 503, headers: {}, body: {} }] } })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep,
+      maxBatchRetries: 0,
+      maxRequestsPerBatch: 1,
+      concurrency: 2,
+      circuitBreaker: { failureThreshold: 1 },
+    })
+
+    const pending = client.batch([
+      { id: 'a', url: '/a' },
+      { id: 'b', url: '/b' },
+    ])
+    await vi.waitFor(() => expect(pendingSleeps).toHaveLength(1))
+    await vi.waitFor(() => expect(calls).toHaveLength(2))
+    for (const s of pendingSleeps) s.resolve()
+
+    const out = await pending
+    expect(calls).toHaveLength(2)
+    expect(out.responseList.map((r) => [r.id, r.status])).toEqual([
+      ['a', 599],
+      ['b', 599],
+    ])
+    expect(out.errors.map((e) => e.type)).toEqual(['CircuitOpenError', 'Error'])
+  })
+})
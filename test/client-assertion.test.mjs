@@ -0,0 +1,232 @@
+import crypto from 'node:crypto'
+import http from 'node:http'
+
+import axios from 'axios'
+import { afterEach, beforeAll, describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createCertificateClientAssertion } from '../internal/clientAssertion'
+import {
+  createClientCredentialsAccessTokenProvider,
+  createRefreshTokenAccessTokenProvider,
+} from '../internal/tokenProvider'
+
+// Public test certificate only (no private key); used to check thumbprint derivation.
+const TEST_CERTIFICATE = `-----BEGIN CERTIFICATE-----
+MIIDMTCCAhmgAwIBAgIUPt7F5D47mf59/3ZAbfhNlnzskeswDQYJKoZIhvcNAQEL
+BQAwJzElMCMGA1UEAwwcbTM2NS1ncmFwaC1iYXRjaC1jbGllbnQtdGVzdDAgFw0y
+NjEwMTkxMTEyMjVaGA8yMTI2MDkyNTExMTIyNVowJzElMCMGA1UEAwwcbTM2NS1n
+cmFwaC1iYXRjaC1jbGllbnQtdGVzdDCCASIwDQYJKoZIhvcNAQEBBQADggEPADCC
+AQoCggEBAJuNT7RHHVBIBCx6y9FyIg+N9RWZL5hv6dUExRKOsOrYowoMB6aqSbUe
+KZk5ZTqtAeOtPy/xe7SIwUq2kD5mi0jN/NB87ahFmnaiT+Q+E9Yvbsl+vClA5XZ7
+ovufPyut0CIkz6LWYkDnvcH5QxAyk8lqFafDESZfJr8QloKpe+YOcbp+HwH+Bh0B
+WkdmSr82cocX3K1bSQ54eSfE9cWQH8EAMGwb1F+ZLWVW8i9nhg41L2xmMiM2CSJP
+h4OMgpJrG57DMr3lcoKO03GC4OyVIlHgot46L2pST1N8aw5OjjSkSPPc3nKX9WOb
+/S05XpwwVYDmCUZuozHBs+tsLZws8tMCAwEAAaNTMFEwHQYDVR0OBBYEFEedlCAe
+FjaicB+jbpYCLoRfJ9iZMB8GA1UdIwQYMBaAFEedlCAeFjaicB+jbpYCLoRfJ9iZ
+MA8GA1UdEwEB/wQFMAMBAf8wDQYJKoZIhvcNAQELBQADggEBAJEV5F7Ndj6e8Edb
+4+s/9wVs7jmKjog5nuKSOrhL0ocJWe7NlcZXzpoLclBFuezIBgRLJQiUFHQX12Jm
+T8nMZu2rzyV5lPSm/9C9r8bt738S+5PMDfu8eEVCKIVdxyzgTG5uP026Y7JxXjC0
++d9tsr6dpi/wFBB6cjU05sBVbjZqG459+JzRliq+bD3siVDfovGVyKz48CKnVNcE
+W3d9bfRRsBA72kM8AT/ZZdAT3s7jmixBPSHq4GxmI8r0rIhgOL7WWIBOGd0WO+EW
+w78gaamyRpfXdPlsb+PGm9q5/rxcVAj3WrJN/F48DT/e6LaJBP/Gm5cFBAYryhvO
+i3hKHHk=
+-----END CERTIFICATE-----`
+const TEST_CERTIFICATE_THUMBPRINT = '2D21A84152106E7B5BE113E1AF38691E28310122'
+
+const fromBase64Url = (part) => Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+
+function decodeJwt(jwt) {
+  const [header, payload, signature] = jwt.split('.')
+  return {
+    header: JSON.parse(fromBase64Url(header).toString()),
+    payload: JSON.parse(fromBase64Url(payload).toString()),
+    signingInput: `${header}.${payload}`,
+    signature: fromBase64Url(signature),
+  }
+}
+
+// Local stand-in for the Entra ID token endpoint.
+async function startTokenEndpoint() {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+    })
+    req.on('end', () => {
+      requests.push({ path: req.url, form: Object.fromEntries(new URLSearchParams(body)) })
+      res.setHeader('content-type', 'application/json')
+      res.end(JSON.stringify({ access_token: `token-${requests.length}`, expires_in: 3600 }))
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  return { requests, authorityHost: `http://127.0.0.1:${port}`, close: () => new Promise((r) => server.close(r)) }
+}
+
+describe('certificate client assertion', () => {
+  let keys
+  let endpoint
+
+  beforeAll(() => {
+    keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  })
+
+  afterEach(async () => {
+    await endpoint?.close()
+    endpoint = null
+  })
+
+  test('signs an RS256 assertion with x5t, audience and a short lifetime', () => {
+    const sign = createCertificateClientAssertion({
+      clientId: 'client',
+      privateKey: keys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      thumbprint: TEST_CERTIFICATE_THUMBPRINT.match(/../g).join(':'),
+      now: () => 1_700_000_000_000,
+    })
+
+    const jwt = decodeJwt(sign('https://login.example/tenant/oauth2/v2.0/token'))
+
+    expect(jwt.header).toEqual({
+      alg: 'RS256',
+      typ: 'JWT',
+      x5t: Buffer.from(TEST_CERTIFICATE_THUMBPRINT, 'hex').toString('base64url'),
+    })
+    expect(jwt.payload).toMatchObject({
+      aud: 'https://login.example/tenant/oauth2/v2.0/token',
+      iss: 'client',
+      sub: 'client',
+      iat: 1_700_000_000,
+      nbf: 1_700_000_000,
+      exp: 1_700_000_600,
+    })
+    expect(jwt.payload.jti).toMatch(/^[0-9a-f-]{36}$/)
+    expect(crypto.verify('RSA-SHA256', Buffer.from(jwt.signingInput), keys.publicKey, jwt.signature)).toBe(true)
+  })
+
+  test('derives the thumbprint from the certificate and validates inputs', () => {
+    const sign = createCertificateClientAssertion({
+      clientId: 'client',
+      privateKey: keys.privateKey,
+      certificate: TEST_CERTIFICATE,
+    })
+    expect(decodeJwt(sign('aud')).header.x5t).toBe(
+      Buffer.from(TEST_CERTIFICATE_THUMBPRINT, 'hex').toString('base64url')
+    )
+
+    expect(() => createCertificateClientAssertion({ clientId: 'client', privateKey: keys.privateKey })).toThrow(
+      /thumbprint or certificate is required/
+    )
+    expect(() =>
+      createCertificateClientAssertion({ clientId: 'client', privateKey: keys.privateKey, thumbprint: 'abc' })
+    ).toThrow(/must be a SHA-1 hex/)
+    expect(() => createCertificateClientAssertion({ clientId: 'client', thumbprint: 'abc' })).toThrow(
+      /privateKey is required/
+    )
+    expect(() => createCertificateClientAssertion({ privateKey: keys.privateKey })).toThrow(/clientId is required/)
+  })
+
+  test('client-credentials grant exchanges the assertion at a local token endpoint', async () => {
+    endpoint = await startTokenEndpoint()
+
+    const getAccessToken = createClientCredentialsAccessTokenProvider({
+      axios,
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientCertificate: { privateKey: keys.privateKey, thumbprint: TEST_CERTIFICATE_THUMBPRINT },
+      authorityHost: endpoint.authorityHost,
+    })
+
+    expect(await getAccessToken()).toBe('token-1')
+    expect(await getAccessToken()).toBe('token-1')
+    expect(endpoint.requests).toHaveLength(1)
+
+    const { path, form } = endpoint.requests[0]
+    expect(path).toBe('/tenant/oauth2/v2.0/token')
+    expect(form).toMatchObject({
+      client_id: 'client',
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+    })
+    expect(form.client_secret).toBeUndefined()
+
+    const jwt = decodeJwt(form.client_assertion)
+    expect(jwt.payload.aud).toBe(`${endpoint.authorityHost}/tenant/oauth2/v2.0/token`)
+    expect(crypto.verify('RSA-SHA256', Buffer.from(jwt.signingInput), keys.publicKey, jwt.signature)).toBe(true)
+  })
+
+  test('refresh-token grant sends a fresh assertion on every refresh', async () => {
+    endpoint = await startTokenEndpoint()
+
+    let now = 0
+    const getAccessToken = createRefreshTokenAccessTokenProvider({
+      axios,
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientCertificate: { privateKey: keys.privateKey, thumbprint: TEST_CERTIFICATE_THUMBPRINT },
+      refreshToken: 'refresh',
+      authorityHost: `${endpoint.authorityHost}/`,
+      now: () => now,
+    })
+
+    await getAccessToken()
+    now = 3_600_000
+    await getAccessToken()
+
+    const [first, second] = endpoint.requests.map((r) => r.form)
+    expect(first).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh' })
+    expect(decodeJwt(first.client_assertion).payload.jti).not.toBe(decodeJwt(second.client_assertion).payload.jti)
+  })
+
+  test('constructor accepts clientCertificate or a caller-supplied clientAssertion', async () => {
+    endpoint = await startTokenEndpoint()
+
+    const graphCalls = []
+    const client = new M365GraphBatchClient({
+      axios: {
+        request: async (config) => {
+          if (config.url.includes('/oauth2/')) return axios.request(config)
+          graphCalls.push(config)
+          return { status: 200, headers: {}, data: { responses: [{ id: '1', status: 200, headers: {}, body: {} }] } }
+        },
+      },
+      auth: {
+        type: 'clientCredentials',
+        tenantId: 'tenant',
+        clientId: 'client',
+        clientAssertion: async ({ audience }) => `assertion-for:${audience}`,
+        authorityHost: endpoint.authorityHost,
+      },
+    })
+
+    await client.batch([{ id: '1', url: '/users' }])
+
+    expect(endpoint.requests[0].form.client_assertion).toBe(
+      `assertion-for:${endpoint.authorityHost}/tenant/oauth2/v2.0/token`
+    )
+    expect(graphCalls[0].headers.authorization).toBe('Bearer token-1')
+  })
+
+  test('partial mode reports token failures on a custom authority host as stage: auth', async () => {
+    const offline = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' })
+    const client = new M365GraphBatchClient({
+      axios: {
+        request: async () => {
+          throw offline
+        },
+      },
+      auth: {
+        type: 'clientCredentials',
+        tenantId: 'tenant',
+        clientId: 'client',
+        clientSecret: 'secret',
+        authorityHost: 'http://127.0.0.1:1',
+      },
+    })
+
+    const out = await client.batch([{ id: '1', url: '/users' }])
+    expect(out.errors).toEqual([expect.objectContaining({ stage: 'auth', code: 'ECONNREFUSED' })])
+  })
+})
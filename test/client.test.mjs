@@ -2057,11 +2057,14 @@ describe('m365GraphBatchClient', () => {
     )
   })
 
-  test('throws on non-retryable HTTP status (e.g. 401)', async () => {
+  test('throws on non-retryable HTTP status (e.g. 401 after re-authenticating)', async () => {
     const { axios } = createMockAxios([
       {
         response: createAxiosResponse({ status: 401, data: { error: { message: 'Unauthorized' } } }),
       },
+      {
+        response: createAxiosResponse({ status: 401, data: { error: { message: 'Unauthorized' } } }),
+      },
     ])
 
     const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxBatchRetries: 0 })
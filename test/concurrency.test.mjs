@@ -0,0 +1,178 @@
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Each $batch call resolves after `delayFor(requests)` ms and records how many calls overlapped.
+function createTimedBatchAxios({ delayFor = () => 0, statusFor = () => 200 } = {}) {
+  const calls = []
+  const stats = { inFlight: 0, maxInFlight: 0 }
+
+  const axios = {
+    async request(config) {
+      calls.push(config)
+      stats.inFlight += 1
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight)
+      try {
+        await new Promise((resolve) => setTimeout(resolve, delayFor(config.data.requests)))
+        const responses = config.data.requests.map((r) => ({
+          id: r.id,
+          status: statusFor(r.id),
+          headers: {},
+          body: {},
+        }))
+        return createAxiosResponse({ data: { responses } })
+      } finally {
+        stats.inFlight -= 1
+      }
+    },
+  }
+
+  return { axios, calls, stats }
+}
+
+const makeRequests = (count) => Array.from({ length: count }, (_, i) => ({ id: String(i + 1), url: `/r/${i + 1}` }))
+
+describe('chunk concurrency', () => {
+  test('runs up to `concurrency` chunks in parallel and keeps responseList in input order', async () => {
+    // Later chunks finish first.
+    const { axios, calls, stats } = createTimedBatchAxios({ delayFor: (requests) => 30 - Number(requests[0].id) })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      maxRequestsPerBatch: 2,
+      concurrency: 3,
+    })
+
+    const out = await client.batch(makeRequests(12))
+
+    expect(calls).toHaveLength(6)
+    expect(stats.maxInFlight).toBe(3)
+    expect(out.responseList.map((r) => r.id)).toEqual(makeRequests(12).map((r) => r.id))
+    expect(Object.keys(out.responses)).toHaveLength(12)
+  })
+
+  test('defaults to sequential chunks; per-call concurrency overrides the client option', async () => {
+    const { axios, stats } = createTimedBatchAxios({ delayFor: () => 2 })
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 1 })
+
+    await client.batch(makeRequests(4))
+    expect(stats.maxInFlight).toBe(1)
+
+    await client.batch(makeRequests(4), { concurrency: 4 })
+    expect(stats.maxInFlight).toBe(4)
+  })
+
+  test('partial errors are merged in chunk order regardless of completion order', async () => {
+    const { axios } = createTimedBatchAxios({
+      delayFor: (requests) => (requests[0].id === '1' ? 20 : 0),
+      statusFor: () => 404,
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      maxRequestsPerBatch: 1,
+      concurrency: 2,
+    })
+
+    const out = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b', dependsOn: ['1'] },
+      { id: '3', url: '/c' },
+      { id: '4', url: '/d', dependsOn: ['3'] },
+    ])
+
+    expect(out.partial).toBe(true)
+    expect(out.errors.map((e) => e.id)).toEqual(['2', '4'])
+  })
+
+  test('a chunk with cross-chunk dependsOn waits for its prerequisite chunk', async () => {
+    const order = []
+    const { axios } = createTimedBatchAxios({
+      delayFor: (requests) => {
+        order.push(`start:${requests[0].id}`)
+        return requests[0].id === '1' ? 10 : 0
+      },
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      maxRequestsPerBatch: 2,
+      concurrency: 4,
+    })
+
+    // The chain 1 -> 2 -> 3 is longer than a chunk, so 3 lands in a second chunk that depends on the first.
+    const out = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b', dependsOn: ['1'] },
+      { id: '3', url: '/c', dependsOn: ['2'] },
+      { id: '4', url: '/d' },
+    ])
+
+    expect(order).toEqual(['start:1', 'start:4', 'start:3'])
+    expect(out.responseList.map((r) => r.id)).toEqual(['1', '2', '3', '4'])
+  })
+
+  test('strict mode rejects when one of the parallel chunks fails', async () => {
+    const { axios } = createTimedBatchAxios({ statusFor: (id) => (id === '3' ? 503 : 200) })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      maxRequestsPerBatch: 1,
+      maxSubrequestRetries: 0,
+      concurrency: 2,
+    })
+
+    await expect(client.batch(makeRequests(4), { mode: 'strict' })).rejects.toThrow(/Subrequest 3 exceeded retries/)
+  })
+
+  test('strict mode aborts the sibling chunks still in flight after a failure', async () => {
+    // Chunk 1 fails fast; chunk 2 gets a retryable 503 only after the call has already rejected.
+    const { axios, calls } = createTimedBatchAxios({
+      delayFor: (requests) => (requests[0].id === '2' ? 30 : 0),
+      statusFor: () => 503,
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      maxRequestsPerBatch: 1,
+      maxSubrequestRetries: 1,
+      initialBackoffMs: 1,
+      jitterRatio: 0,
+      concurrency: 2,
+    })
+
+    await expect(client.batch(makeRequests(2), { mode: 'strict' })).rejects.toThrow(/Subrequest 1 exceeded retries/)
+    expect(calls.map((config) => config.data.requests[0].id)).toEqual(['1', '2', '1'])
+
+    await new Promise((resolve) => setTimeout(resolve, 60))
+    expect(calls).toHaveLength(3)
+    expect(calls[1].signal.aborted).toBe(true)
+  })
+
+  test('rejects invalid concurrency values', async () => {
+    const { axios } = createTimedBatchAxios()
+    expect(() => new M365GraphBatchClient({ axios, getAccessToken: async () => 't', concurrency: 0 })).toThrow(
+      /options\.concurrency must be a positive integer/
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+    await expect(client.batch(makeRequests(1), { concurrency: 1.5 })).rejects.toThrow(/positive integer/)
+  })
+})
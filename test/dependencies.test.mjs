@@ -0,0 +1,239 @@
+import { describe, expect, test } from 'vitest'
+
+import { DependencyCycleError, DependencyFailedError, M365GraphBatchClient } from '..'
+import { planDependencyChunks } from '../internal/dependencies'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createMockSleep() {
+  const calls = []
+  const sleep = async (ms) => {
+    calls.push(ms)
+  }
+  return { sleep, calls }
+}
+
+function createBatchAxios(handler) {
+  const calls = []
+  const axios = {
+    async request(config) {
+      calls.push(config)
+      const responses = handler(config.data.requests, calls.length)
+      return createAxiosResponse({ data: { responses } })
+    },
+  }
+  return { axios, calls }
+}
+
+const ok = (id, body = {}) => ({ id, status: 200, headers: {}, body })
+
+describe('dependsOn', () => {
+  test('planDependencyChunks matches plain chunking without dependsOn', () => {
+    const requests = [{ id: 'a' }, { id: 'b' }, { id: 'c' }]
+    expect(planDependencyChunks(requests, 2)).toEqual([[0, 1], [2]])
+  })
+
+  test('planDependencyChunks keeps a dependency group in one chunk in topological order', () => {
+    const requests = [
+      { id: 'member', dependsOn: ['owner'] },
+      { id: 'x' },
+      { id: 'owner', dependsOn: 'group' },
+      { id: 'group' },
+      { id: 'y' },
+    ]
+
+    expect(planDependencyChunks(requests, 3)).toEqual([
+      [3, 2, 0],
+      [1, 4],
+    ])
+  })
+
+  test('planDependencyChunks splits chains longer than the chunk size into ordered chunks', () => {
+    const requests = [
+      { id: '4', dependsOn: ['3'] },
+      { id: '3', dependsOn: ['2'] },
+      { id: '2', dependsOn: ['1'] },
+      { id: '1' },
+    ]
+
+    expect(planDependencyChunks(requests, 3)).toEqual([[3, 2, 1], [0]])
+  })
+
+  test('planDependencyChunks rejects unknown ids and cycles', () => {
+    expect(() => planDependencyChunks([{ id: '1', dependsOn: ['nope'] }], 20)).toThrow(/unknown request id nope/)
+
+    const cycle = [
+      { id: '1', dependsOn: ['2'] },
+      { id: '2', dependsOn: ['1'] },
+    ]
+    expect(() => planDependencyChunks(cycle, 20)).toThrow(DependencyCycleError)
+    expect(() => planDependencyChunks([{ id: '1', dependsOn: ['1'] }], 20)).toThrow(/cycle detected between 1/)
+  })
+
+  test('batch sends dependsOn inside one payload and keeps responseList in input order', async () => {
+    const { axios, calls } = createBatchAxios((requests) => requests.map((r) => ok(r.id)))
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 2 })
+
+    const out = await client.batch([
+      { id: 'owner', method: 'POST', url: '/groups/g/owners/$ref', dependsOn: ['group'] },
+      { id: 'other', url: '/me' },
+      { id: 'group', method: 'POST', url: '/groups' },
+    ])
+
+    expect(calls).toHaveLength(2)
+    expect(calls[0].data.requests.map((r) => [r.id, r.dependsOn])).toEqual([
+      ['group', undefined],
+      ['owner', ['group']],
+    ])
+    expect(calls[1].data.requests.map((r) => r.id)).toEqual(['other'])
+    expect(out.responseList.map((r) => r.id)).toEqual(['owner', 'other', 'group'])
+  })
+
+  test('dependsOn across chunks is stripped from the payload and ordered by chunk', async () => {
+    const { axios, calls } = createBatchAxios((requests) => requests.map((r) => ok(r.id)))
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 1 })
+
+    await client.batch([
+      { id: '2', url: '/b', dependsOn: ['1'] },
+      { id: '1', url: '/a' },
+    ])
+
+    expect(calls.map((c) => c.data.requests[0])).toMatchObject([{ id: '1' }, { id: '2', dependsOn: undefined }])
+  })
+
+  test('partial mode: dependents of a failed prerequisite in an earlier chunk are not sent', async () => {
+    const { axios, calls } = createBatchAxios((requests) =>
+      requests.map((r) => (r.id === 'group' ? { id: r.id, status: 400, headers: {}, body: {} } : ok(r.id)))
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 1 })
+
+    const out = await client.batch([
+      { id: 'group', method: 'POST', url: '/groups' },
+      { id: 'owner', method: 'POST', url: '/owners', dependsOn: ['group'] },
+      { id: 'member', method: 'POST', url: '/members', dependsOn: ['owner'] },
+    ])
+
+    expect(calls).toHaveLength(1)
+    expect(out.partial).toBe(true)
+    expect(out.responses.owner.status).toBe(424)
+    expect(out.responses.member.body.error.code).toBe('DependencyFailed')
+    expect(out.errors).toEqual([
+      expect.objectContaining({
+        id: 'owner',
+        stage: 'dependency',
+        type: 'DependencyFailedError',
+        dependsOn: ['group'],
+      }),
+      expect.objectContaining({ id: 'member', stage: 'dependency', dependsOn: ['owner'] }),
+    ])
+  })
+
+  test('Graph 424 subresponses are reported as stage: dependency', async () => {
+    const { axios } = createBatchAxios(() => [
+      { id: '1', status: 404, headers: {}, body: {} },
+      { id: '2', status: 424, headers: {}, body: { error: { code: 'FailedDependency' } } },
+    ])
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const out = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b', dependsOn: ['1'] },
+    ])
+
+    expect(out.responses['2'].status).toBe(424)
+    expect(out.errors).toEqual([
+      {
+        id: '2',
+        stage: 'dependency',
+        type: 'DependencyFailedError',
+        message: 'Subrequest 2 was not executed because dependency 1 failed',
+        status: 424,
+        dependsOn: ['1'],
+      },
+    ])
+
+    await expect(
+      client.batch(
+        [
+          { id: '1', url: '/a' },
+          { id: '2', url: '/b', dependsOn: ['1'] },
+        ],
+        { mode: 'strict' }
+      )
+    ).rejects.toThrow(DependencyFailedError)
+  })
+
+  test('424 dependents are retried together with a throttled prerequisite', async () => {
+    const sleep = createMockSleep()
+    const { axios, calls } = createBatchAxios((requests, call) =>
+      call === 1
+        ? [
+            { id: '1', status: 429, headers: { 'Retry-After': '1' }, body: {} },
+            { id: '2', status: 424, headers: {}, body: {} },
+            { id: '3', status: 424, headers: {}, body: {} },
+          ]
+        : requests.map((r) => ok(r.id))
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: sleep.sleep })
+
+    const out = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b', dependsOn: ['1'] },
+      { id: '3', url: '/c', dependsOn: ['2'] },
+    ])
+
+    expect(calls).toHaveLength(2)
+    expect(calls[1].data.requests.map((r) => [r.id, r.dependsOn])).toEqual([
+      ['1', undefined],
+      ['2', ['1']],
+      ['3', ['2']],
+    ])
+    expect(sleep.calls).toEqual([1000])
+    expect(out.partial).toBe(false)
+    expect(out.responseList.map((r) => r.status)).toEqual([200, 200, 200])
+  })
+
+  test('dependents of a prerequisite that exhausted retries are not retried on their own', async () => {
+    const sleep = createMockSleep()
+    const { axios, calls } = createBatchAxios((requests) =>
+      requests.map((r) =>
+        r.id === '1'
+          ? { id: '1', status: 503, headers: {}, body: {} }
+          : { id: r.id, status: 424, headers: {}, body: {} }
+      )
+    )
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: sleep.sleep,
+      maxSubrequestRetries: 1,
+      initialBackoffMs: 0,
+    })
+
+    const out = await client.batch([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b', dependsOn: ['1'] },
+    ])
+
+    expect(calls).toHaveLength(2)
+    expect(out.errors.map((e) => [e.id, e.stage])).toEqual([
+      ['1', 'subrequest'],
+      ['2', 'dependency'],
+    ])
+  })
+})
@@ -0,0 +1,183 @@
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Records every lifecycle event as [name, payload].
+function createRecorder() {
+  const events = []
+  const names = ['request', 'response', 'retry', 'throttled', 'sleep', 'paginationPage', 'chunkStart', 'chunkEnd']
+  const on = Object.fromEntries(names.map((name) => [name, (payload) => events.push([name, payload])]))
+  return { on, events, of: (name) => events.filter(([n]) => n === name).map(([, payload]) => payload) }
+}
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+describe('lifecycle events', () => {
+  test('report chunks, outer attempts, retries and sleeps in order', async () => {
+    const recorder = createRecorder()
+    const { axios } = createHandlerAxios((config, n) => {
+      if (n === 1) return createAxiosResponse({ status: 503, headers: { 'retry-after': '2' } })
+      const status = n === 2 && config.data.requests.length === 2 ? 500 : 200
+      return createAxiosResponse({
+        headers: { 'request-id': `req-${n}` },
+        data: { responses: config.data.requests.map((r) => subresponse(r.id, r.id === 'b' ? status : 200)) },
+      })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      initialBackoffMs: 100,
+      jitterRatio: 0,
+      on: recorder.on,
+    })
+    await client.batch([
+      { id: 'a', url: '/a' },
+      { id: 'b', url: '/b' },
+    ])
+
+    const batchCall = { stage: 'batch', chunkIndex: 0, method: 'POST', url: '/$batch' }
+    expect(recorder.events.map(([name]) => name)).toEqual([
+      'chunkStart',
+      'request',
+      'response',
+      'retry',
+      'sleep',
+      'request',
+      'response',
+      'retry',
+      'sleep',
+      'request',
+      'response',
+      'chunkEnd',
+    ])
+    expect(recorder.of('chunkStart')).toEqual([{ chunkIndex: 0, ids: ['a', 'b'] }])
+    expect(recorder.of('request')[0]).toEqual({ ...batchCall, attempt: 1 })
+    expect(recorder.of('response')).toEqual([
+      { ...batchCall, attempt: 1, status: 503, requestId: undefined, durationMs: expect.any(Number) },
+      { ...batchCall, attempt: 2, status: 200, requestId: 'req-2', durationMs: expect.any(Number) },
+      { ...batchCall, attempt: 1, status: 200, requestId: 'req-3', durationMs: expect.any(Number) },
+    ])
+    expect(recorder.of('retry')).toEqual([
+      { ...batchCall, attempt: 1, status: 503, delayMs: 2000, reason: 'retryAfter' },
+      { stage: 'subrequest', chunkIndex: 0, id: 'b', attempt: 1, status: 500, delayMs: 100, reason: 'backoff' },
+    ])
+    expect(recorder.of('sleep')).toEqual([
+      { stage: 'batch', chunkIndex: 0, reason: 'retryAfter', delayMs: 2000 },
+      { stage: 'subrequest', chunkIndex: 0, reason: 'backoff', delayMs: 100 },
+    ])
+    expect(recorder.of('chunkEnd')).toEqual([
+      { chunkIndex: 0, ids: ['a', 'b'], durationMs: expect.any(Number), statuses: [200, 200], errorCount: 0 },
+    ])
+  })
+
+  test('throttled is emitted for 429s with Retry-After, outer and per subrequest', async () => {
+    const recorder = createRecorder()
+    const { axios } = createHandlerAxios((config, n) => {
+      if (n === 1) return createAxiosResponse({ status: 429, headers: { 'retry-after': '1' } })
+      return createAxiosResponse({
+        data: {
+          responses: config.data.requests.map((r) =>
+            n === 2 ? subresponse(r.id, 429, { headers: { 'Retry-After': '3' } }) : subresponse(r.id, 200)
+          ),
+        },
+      })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      on: recorder.on,
+    })
+    await client.batch([{ id: '1', url: '/me' }])
+
+    expect(recorder.of('throttled')).toEqual([
+      { stage: 'batch', chunkIndex: 0, method: 'POST', url: '/$batch', attempt: 1, status: 429, delayMs: 1000 },
+      { stage: 'subrequest', chunkIndex: 0, ids: ['1'], status: 429, delayMs: 3000 },
+    ])
+    // Throttle waits happen in the shared rate limiter, not as retry sleeps.
+    expect(recorder.of('sleep')).toEqual([])
+  })
+
+  test('network errors surface on response and retry with the error', async () => {
+    const recorder = createRecorder()
+    const networkError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const { axios } = createHandlerAxios((config, n) => {
+      if (n === 1) throw networkError
+      return createAxiosResponse({ data: { responses: config.data.requests.map((r) => subresponse(r.id, 200)) } })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      retryPolicy: () => ({ retry: true, delayMs: 5 }),
+      on: recorder.on,
+    })
+    await client.batch([{ id: '1', url: '/me' }])
+
+    expect(recorder.of('response')[0]).toMatchObject({ stage: 'batch', attempt: 1, error: networkError })
+    expect(recorder.of('retry')).toEqual([
+      expect.objectContaining({ stage: 'batch', attempt: 1, error: networkError, delayMs: 5, reason: 'retryPolicy' }),
+    ])
+  })
+
+  test('paginationPage is emitted for every fetched page', async () => {
+    const recorder = createRecorder()
+    const link = (token) => `https://graph.microsoft.com/v1.0/users?$skiptoken=${token}`
+    const { axios } = createHandlerAxios((config, n) => {
+      if (config.method === 'POST') {
+        return createAxiosResponse({
+          data: { responses: [subresponse('users', 200, { body: { value: [1], '@odata.nextLink': link('a') } })] },
+        })
+      }
+      return createAxiosResponse({
+        data: n === 2 ? { value: [2, 3], '@odata.nextLink': link('b') } : { value: [4] },
+      })
+    })
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', on: recorder.on })
+    await client.batch([{ id: 'users', url: '/users' }])
+
+    expect(recorder.of('paginationPage')).toEqual([
+      { id: 'users', chunkIndex: 0, pageNumber: 2, itemCount: 2, hasNextLink: true },
+      { id: 'users', chunkIndex: 0, pageNumber: 3, itemCount: 1, hasNextLink: false },
+    ])
+    expect(recorder.of('request').map((e) => [e.stage, e.method])).toEqual([
+      ['batch', 'POST'],
+      ['pagination', 'GET'],
+      ['pagination', 'GET'],
+    ])
+  })
+
+  test('chunkEnd carries the error when a chunk throws', async () => {
+    const recorder = createRecorder()
+    const { axios } = createHandlerAxios(() => createAxiosResponse({ status: 400, data: { error: { code: 'x' } } }))
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', on: recorder.on })
+    const err = await client.batch([{ id: '1', url: '/me' }], { mode: 'strict' }).catch((e) => e)
+
+    expect(recorder.of('chunkEnd')).toEqual([{ chunkIndex: 0, ids: ['1'], durationMs: expect.any(Number), error: err }])
+  })
+
+  test('validates options.on', () => {
+    const create = (on) => new M365GraphBatchClient({ getAccessToken: async () => 't', on })
+    expect(() => create('x')).toThrow(/options\.on must be an object/)
+    expect(() => create({ retries: () => {} })).toThrow(/options\.on\.retries is not a known event/)
+    expect(() => create({ retry: true })).toThrow(/options\.on\.retry must be a function/)
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+const nextLink = (token) => `https://graph.microsoft.com/v1.0/users?$skiptoken=${token}`
+
+describe('execution metadata', () => {
+  test('records attempts, statuses, delays, Retry-After and pages per subresponse, plus a call summary', async () => {
+    let nowMs = 0
+    const { axios } = createHandlerAxios((config, n) => {
+      nowMs += 10
+      if (config.method === 'GET') {
+        return createAxiosResponse({
+          data: config.url.endsWith('=p2') ? { value: [2], '@odata.nextLink': nextLink('p3') } : { value: [3] },
+        })
+      }
+      if (n === 1) return createAxiosResponse({ status: 503 })
+      if (n === 2) {
+        return createAxiosResponse({
+          data: {
+            responses: [
+              subresponse('a', 429, { headers: { 'Retry-After': '2' } }),
+              subresponse('b', 200),
+              subresponse('users', 200, { body: { value: [1], '@odata.nextLink': nextLink('p2') } }),
+            ],
+          },
+        })
+      }
+      return createAxiosResponse({ data: { responses: [subresponse('a', n === 3 ? 503 : 200)] } })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      now: () => nowMs,
+      initialBackoffMs: 100,
+      jitterRatio: 0,
+    })
+    const out = await client.batch(
+      [
+        { id: 'a', url: '/a' },
+        { id: 'b', url: '/b' },
+        { id: 'users', url: '/users' },
+      ],
+      { includeMetadata: true }
+    )
+
+    expect(Object.fromEntries(out.responseList.map((r) => [r.id, r.metadata]))).toEqual({
+      a: { attempts: 3, statuses: [429, 503, 200], delaysMs: [2000, 200], retryAfterMs: [2000], pages: 0 },
+      b: { attempts: 1, statuses: [200], delaysMs: [], retryAfterMs: [], pages: 0 },
+      users: { attempts: 1, statuses: [200], delaysMs: [], retryAfterMs: [], pages: 2 },
+    })
+    expect(out.metadata).toEqual({
+      chunkCount: 1,
+      durationMs: 60,
+      sleepMs: 300,
+      throttledMs: 2000,
+      outerRetries: 1,
+      subrequestRetries: 2,
+    })
+  })
+
+  test('is off by default', async () => {
+    const { axios } = createHandlerAxios(() => createAxiosResponse({ data: { responses: [subresponse('1', 200)] } }))
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const out = await client.batch([{ id: '1', url: '/a' }])
+
+    expect(out).not.toHaveProperty('metadata')
+    expect(out.responseList[0]).not.toHaveProperty('metadata')
+  })
+
+  test('covers every chunk, requests that were never sent, and batchStream()', async () => {
+    const { axios } = createHandlerAxios((config) =>
+      createAxiosResponse({
+        data: { responses: config.data.requests.map((r) => subresponse(r.id, r.id === 'a' ? 404 : 200)) },
+      })
+    )
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 1 })
+    const requests = [
+      { id: 'a', url: '/a' },
+      { id: 'b', url: '/b', dependsOn: ['a'] },
+      { id: 'c', url: '/c' },
+    ]
+
+    const out = await client.batch(requests, { includeMetadata: true })
+    expect(out.responseList.map((r) => [r.id, r.status, r.metadata.attempts, r.metadata.statuses])).toEqual([
+      ['a', 404, 1, [404]],
+      ['b', 424, 0, []],
+      ['c', 200, 1, [200]],
+    ])
+    expect(out.metadata).toMatchObject({ chunkCount: 3, sleepMs: 0, outerRetries: 0, subrequestRetries: 0 })
+
+    const streamed = []
+    for await (const item of client.batchStream(requests, { includeMetadata: true })) {
+      if (item.kind === 'response') streamed.push([item.response.id, item.response.metadata.attempts])
+    }
+    expect(streamed).toEqual([
+      ['a', 1],
+      ['b', 0],
+      ['c', 1],
+    ])
+  })
+})
@@ -0,0 +1,13 @@
+import { vi } from 'vitest'
+
+// Mock axios whose `handler(config, n)` returns an axios response or throws; `n` is the 1-based call number.
+export function createHandlerAxios(handler) {
+  const calls = []
+  const axios = {
+    request: vi.fn(async (config) => {
+      calls.push(config)
+      return handler(config, calls.length)
+    }),
+  }
+  return { axios, calls }
+}
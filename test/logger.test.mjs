@@ -0,0 +1,246 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// pino-shaped logger that records `{ level, message, ...fields }`.
+function createRecordingLogger() {
+  const entries = []
+  const logger = {}
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = function (fields, message) {
+      expect(this).toBe(logger)
+      entries.push({ level, message, ...fields })
+    }
+  }
+  return { logger, entries }
+}
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+const okBatch = (config) =>
+  createAxiosResponse({ data: { responses: config.data.requests.map((r) => subresponse(r.id, 200)) } })
+
+describe('logger', () => {
+  test('every entry of a call shares its correlationId; concurrent calls get distinct ids', async () => {
+    const { logger, entries } = createRecordingLogger()
+    const { axios } = createHandlerAxios(okBatch)
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', logger })
+
+    await Promise.all([client.batch([{ id: '1', url: '/a' }]), client.batch([{ id: '2', url: '/b' }])])
+
+    const ids = [...new Set(entries.map((entry) => entry.correlationId))]
+    expect(ids).toHaveLength(2)
+    for (const id of ids) {
+      expect(id).toMatch(/^[0-9a-f-]{36}$/)
+      expect(entries.filter((entry) => entry.correlationId === id).map((entry) => entry.message)).toEqual([
+        'batch() started',
+        'Dispatching $batch chunk',
+        'batch() finished',
+      ])
+    }
+    expect(entries.find((entry) => entry.message === 'batch() finished')).toMatchObject({
+      level: 'info',
+      chunkCount: 1,
+      responseCount: 1,
+      errorCount: 0,
+    })
+  })
+
+  test('options.correlationId overrides the generated id, including in batchStream()', async () => {
+    const { logger, entries } = createRecordingLogger()
+    const { axios } = createHandlerAxios(okBatch)
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', logger })
+
+    await client.batch([{ id: '1', url: '/a' }], { correlationId: 'req-42' })
+    for await (const _item of client.batchStream([{ id: '1', url: '/a' }], { correlationId: 7 })) {
+      // drain
+    }
+
+    expect(entries.map((entry) => [entry.correlationId, entry.message])).toEqual([
+      ['req-42', 'batch() started'],
+      ['req-42', 'Dispatching $batch chunk'],
+      ['req-42', 'batch() finished'],
+      ['7', 'batchStream() started'],
+      ['7', 'Dispatching $batch chunk'],
+      ['7', 'batchStream() finished'],
+    ])
+  })
+
+  test('logs retry reasons and Retry-After parsing for subrequests and outer calls', async () => {
+    const { logger, entries } = createRecordingLogger()
+    const { axios } = createHandlerAxios((config, n) => {
+      if (n === 1) return createAxiosResponse({ status: 503, headers: { 'retry-after': 'soon' } })
+      if (n === 2) {
+        return createAxiosResponse({
+          data: { responses: [subresponse('1', 429, { headers: { 'Retry-After': '2' } })] },
+        })
+      }
+      return okBatch(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      initialBackoffMs: 100,
+      jitterRatio: 0,
+      logger,
+    })
+
+    await client.batch([{ id: '1', url: '/a' }], { correlationId: 'c' })
+
+    const retryEntries = entries.filter((entry) => entry.level !== 'debug' || entry.message.includes('Retry-After'))
+    expect(retryEntries).toEqual([
+      {
+        level: 'warn',
+        message: 'Ignoring unparsable Retry-After header',
+        correlationId: 'c',
+        chunkIndex: 0,
+        stage: 'batch',
+        method: 'POST',
+        url: '/$batch',
+        retryAfter: 'soon',
+      },
+      {
+        level: 'info',
+        message: 'Retrying Graph request',
+        correlationId: 'c',
+        chunkIndex: 0,
+        stage: 'batch',
+        method: 'POST',
+        url: '/$batch',
+        attempt: 1,
+        status: 503,
+        delayMs: 100,
+        reason: 'backoff',
+      },
+      {
+        level: 'debug',
+        message: 'Parsed Retry-After header',
+        correlationId: 'c',
+        chunkIndex: 0,
+        id: '1',
+        retryAfter: '2',
+        delayMs: 2000,
+      },
+      expect.objectContaining({
+        level: 'info',
+        message: 'Retrying subrequests',
+        correlationId: 'c',
+        chunkIndex: 0,
+        ids: ['1'],
+        statuses: [429],
+        delayMs: 2000,
+      }),
+      expect.objectContaining({ level: 'info', message: 'batch() finished', correlationId: 'c' }),
+    ])
+  })
+
+  test('logs pagination progress and subrequests that are not retried', async () => {
+    const { logger, entries } = createRecordingLogger()
+    const { axios } = createHandlerAxios((config) => {
+      if (config.method === 'GET') return createAxiosResponse({ data: { value: [2, 3] } })
+      return createAxiosResponse({
+        data: {
+          responses: [
+            subresponse('users', 200, {
+              body: { value: [1], '@odata.nextLink': 'https://graph.microsoft.com/v1.0/users?$skiptoken=a' },
+            }),
+            subresponse('missing', 404),
+          ],
+        },
+      })
+    })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', logger })
+
+    const result = await client.batch(
+      [
+        { id: 'users', url: '/users' },
+        { id: 'missing', url: '/missing' },
+      ],
+      { correlationId: 'c' }
+    )
+
+    expect(entries.find((entry) => entry.message === 'Fetched pagination page')).toEqual({
+      level: 'debug',
+      message: 'Fetched pagination page',
+      correlationId: 'c',
+      id: 'users',
+      chunkIndex: 0,
+      pageNumber: 2,
+      itemCount: 2,
+      hasNextLink: false,
+    })
+    expect(entries.find((entry) => entry.message === 'Subrequest failed and will not be retried')).toMatchObject({
+      correlationId: 'c',
+      id: 'missing',
+      status: 404,
+    })
+    expect(result.errors).toHaveLength(0)
+  })
+
+  test('logs partial-mode error entries and strict-mode failures', async () => {
+    const { logger, entries } = createRecordingLogger()
+    const networkError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const { axios } = createHandlerAxios(() => {
+      throw networkError
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      now: () => 0,
+      maxBatchRetries: 0,
+      logger,
+    })
+
+    const result = await client.batch([{ id: '1', url: '/a' }], { correlationId: 'p' })
+    expect(entries.filter((entry) => entry.level === 'warn')).toEqual([
+      {
+        level: 'warn',
+        message: 'Recorded partial-mode error',
+        correlationId: 'p',
+        chunkIndex: 0,
+        error: result.errors[0],
+      },
+    ])
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict', correlationId: 's' })).rejects.toBe(
+      networkError
+    )
+    expect(entries.filter((entry) => entry.level === 'error')).toEqual([
+      { level: 'error', message: 'batch() failed', correlationId: 's', err: networkError, durationMs: 0 },
+    ])
+  })
+
+  test('accepts console and validates options.logger', async () => {
+    const debug = vi.spyOn(console, 'debug').mockImplementation(() => {})
+    const info = vi.spyOn(console, 'info').mockImplementation(() => {})
+    try {
+      const { axios } = createHandlerAxios(okBatch)
+      const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', now: () => 0, logger: console })
+      await client.batch([{ id: '1', url: '/a' }], { correlationId: 'c' })
+
+      expect(debug).toHaveBeenCalledWith({ correlationId: 'c', requestCount: 1, mode: 'partial' }, 'batch() started')
+      expect(info).toHaveBeenCalledWith(expect.objectContaining({ correlationId: 'c' }), 'batch() finished')
+    } finally {
+      debug.mockRestore()
+      info.mockRestore()
+    }
+
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', logger: { info() {} } })).toThrow(
+      /options\.logger must implement debug, info, warn and error/
+    )
+  })
+})
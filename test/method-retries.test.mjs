@@ -0,0 +1,274 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { M365GraphBatchClient, RequestFailedError, SubrequestNotRetriedError } from '..'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// The first $batch answers every subrequest with `firstStatus`/`firstHeaders`; later ones succeed.
+function createFlakyAxios({ firstStatus, firstHeaders = {} }) {
+  const calls = []
+  const axios = {
+    request: vi.fn(async (config) => {
+      calls.push(config)
+      const responses = config.data.requests.map((r) =>
+        calls.length === 1
+          ? { id: r.id, status: firstStatus, headers: firstHeaders, body: {} }
+          : { id: r.id, status: 201, headers: {}, body: {} }
+      )
+      return createAxiosResponse({ data: { responses } })
+    }),
+  }
+  return { axios, calls }
+}
+
+const requests = [
+  { id: 'get', method: 'GET', url: '/me' },
+  { id: 'put', method: 'PUT', url: '/me/photo/$value' },
+  { id: 'delete', method: 'DELETE', url: '/me/events/1' },
+  { id: 'patch', method: 'PATCH', url: '/me' },
+  { id: 'post', method: 'POST', url: '/me/sendMail' },
+  { id: 'idempotentPost', method: 'POST', url: '/me/events', idempotent: true },
+]
+
+const retriedIds = (calls) => (calls[1] ? calls[1].data.requests.map((r) => r.id) : [])
+
+describe('method-aware subrequest retries', () => {
+  test('POST is not retried on an ambiguous 500 unless marked idempotent', async () => {
+    const { axios, calls } = createFlakyAxios({ firstStatus: 500 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const out = await client.batch(requests)
+
+    expect(retriedIds(calls)).toEqual(['get', 'put', 'delete', 'patch', 'idempotentPost'])
+    expect(out.responses.post.status).toBe(500)
+    expect(out.partial).toBe(true)
+    expect(out.errors).toEqual([
+      {
+        id: 'post',
+        stage: 'subrequest',
+        type: 'SubrequestNotRetriedError',
+        message: 'Subrequest post (POST) failed with status 500 and was not retried because it is not idempotent',
+        status: 500,
+      },
+    ])
+    // `idempotent` is a client-side flag and never sent to Graph.
+    expect(calls[0].data.requests.find((r) => r.id === 'idempotentPost')).not.toHaveProperty('idempotent')
+  })
+
+  test('POST is retried on 429 and on 503 with Retry-After', async () => {
+    for (const [firstStatus, firstHeaders] of [
+      [429, {}],
+      [503, { 'retry-after': '1' }],
+    ]) {
+      const { axios, calls } = createFlakyAxios({ firstStatus, firstHeaders })
+      const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+      const out = await client.batch([{ id: 'post', method: 'POST', url: '/me/sendMail' }])
+
+      expect(retriedIds(calls)).toEqual(['post'])
+      expect(out.errors).toEqual([])
+    }
+  })
+
+  test('POST is not retried on 503 without Retry-After', async () => {
+    const { axios, calls } = createFlakyAxios({ firstStatus: 503 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const out = await client.batch([{ id: 'post', method: 'post', url: '/me/sendMail' }])
+
+    expect(calls).toHaveLength(1)
+    expect(out.errors.map((e) => e.type)).toEqual(['SubrequestNotRetriedError'])
+  })
+
+  test('nonIdempotentMethods can include PATCH', async () => {
+    const { axios, calls } = createFlakyAxios({ firstStatus: 502 })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      nonIdempotentMethods: ['POST', 'patch'],
+    })
+
+    const out = await client.batch(requests)
+
+    expect(retriedIds(calls)).toEqual(['get', 'put', 'delete', 'idempotentPost'])
+    expect(out.errors.map((e) => e.id)).toEqual(['patch', 'post'])
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', nonIdempotentMethods: 'POST' })).toThrow(
+      /options\.nonIdempotentMethods must be an array/
+    )
+  })
+
+  test('strict mode throws SubrequestNotRetriedError', async () => {
+    const { axios } = createFlakyAxios({ firstStatus: 504 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const err = await client
+      .batch([{ id: 'post', method: 'POST', url: '/me/events' }], { mode: 'strict' })
+      .catch((e) => e)
+
+    expect(err).toBeInstanceOf(SubrequestNotRetriedError)
+    expect(err).toMatchObject({ id: 'post', method: 'POST', status: 504 })
+  })
+
+  test('retryPolicy sees defaultRetry: false and can still force a retry', async () => {
+    const { axios, calls } = createFlakyAxios({ firstStatus: 500 })
+    const seen = []
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      retryPolicy: ({ request, defaultRetry }) => {
+        seen.push(defaultRetry)
+        return request.url === '/me/sendMail' ? true : undefined
+      },
+    })
+
+    const out = await client.batch([{ id: 'post', method: 'POST', url: '/me/sendMail' }])
+
+    expect(seen).toEqual([false])
+    expect(retriedIds(calls)).toEqual(['post'])
+    expect(out.errors).toEqual([])
+  })
+})
+
+describe('method-aware outer $batch retries', () => {
+  // The $batch POST itself fails with `status` (or `error`) until `failures` calls have been made.
+  function createOuterFailureAxios({ status, error, failures = Number.POSITIVE_INFINITY }) {
+    const calls = []
+    const axios = {
+      request: vi.fn(async (config) => {
+        calls.push(config)
+        if (calls.length <= failures) {
+          if (error) throw error
+          return createAxiosResponse({ status })
+        }
+        const responses = config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} }))
+        return createAxiosResponse({ data: { responses } })
+      }),
+    }
+    return { axios, calls }
+  }
+
+  const mixed = [
+    { id: 'me', method: 'GET', url: '/me' },
+    { id: 'mail', method: 'POST', url: '/me/sendMail' },
+  ]
+
+  test('a $batch holding a POST is sent exactly once after an outer 504', async () => {
+    const { axios, calls } = createOuterFailureAxios({ status: 504 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const out = await client.batch(mixed)
+
+    expect(calls).toHaveLength(1)
+    expect(out.partial).toBe(true)
+    expect(out.responseList.map((r) => [r.id, r.status])).toEqual([
+      ['me', 599],
+      ['mail', 599],
+    ])
+    expect(out.errors).toEqual([
+      expect.objectContaining({ stage: 'batch', type: 'RequestFailedError' }),
+      {
+        id: 'mail',
+        stage: 'subrequest',
+        type: 'SubrequestNotRetriedError',
+        message: 'Subrequest mail (POST) failed with status 504 and was not retried because it is not idempotent',
+        status: 504,
+      },
+    ])
+
+    const strict = createOuterFailureAxios({ status: 504 })
+    const strictClient = new M365GraphBatchClient({
+      axios: strict.axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+    })
+    const err = await strictClient.batch(mixed, { mode: 'strict' }).catch((e) => e)
+    expect(strict.calls).toHaveLength(1)
+    expect(err).toBeInstanceOf(RequestFailedError)
+    expect(err).toMatchObject({ status: 504, notRetriedIds: ['mail'] })
+  })
+
+  test('a dropped connection is not replayed either, but a refused one is', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const dropped = createOuterFailureAxios({ error: reset })
+    const client = new M365GraphBatchClient({
+      axios: dropped.axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+    })
+    const out = await client.batch(mixed)
+    expect(dropped.calls).toHaveLength(1)
+    expect(out.errors.map((e) => [e.id, e.type])).toEqual([
+      [undefined, 'Error'],
+      ['mail', 'SubrequestNotRetriedError'],
+    ])
+
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })
+    const notSent = createOuterFailureAxios({ error: refused, failures: 1 })
+    const retrying = new M365GraphBatchClient({
+      axios: notSent.axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+    })
+    expect((await retrying.batch(mixed)).errors).toEqual([])
+    expect(notSent.calls).toHaveLength(2)
+  })
+
+  test('the $batch is retried when every subrequest is safe, or on 429 / 503 with Retry-After', async () => {
+    const safe = createOuterFailureAxios({ status: 504, failures: 1 })
+    const client = new M365GraphBatchClient({
+      axios: safe.axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+    })
+    await client.batch([mixed[0], { id: 'event', method: 'POST', url: '/me/events', idempotent: true }])
+    expect(safe.calls).toHaveLength(2)
+
+    const unavailable = createOuterFailureAxios({ status: 503, failures: 1 })
+    unavailable.axios.request.mockImplementationOnce(async (config) => {
+      unavailable.calls.push(config)
+      return createAxiosResponse({ status: 503, headers: { 'retry-after': '0' } })
+    })
+    const throttledClient = new M365GraphBatchClient({
+      axios: unavailable.axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+    })
+    expect((await throttledClient.batch(mixed)).errors).toEqual([])
+    expect(unavailable.calls).toHaveLength(2)
+  })
+
+  test('a failed retry round holding a throttled POST is not replayed', async () => {
+    const calls = []
+    const axios = {
+      request: vi.fn(async (config) => {
+        calls.push(config)
+        if (calls.length === 1) {
+          const responses = [{ id: 'mail', status: 429, headers: { 'Retry-After': '0' }, body: {} }]
+          return createAxiosResponse({ data: { responses } })
+        }
+        return createAxiosResponse({ status: 502 })
+      }),
+    }
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+
+    const out = await client.batch([mixed[1]])
+
+    expect(calls).toHaveLength(2)
+    expect(out.responses.mail.status).toBe(599)
+    expect(out.errors.map((e) => [e.stage, e.type])).toEqual([
+      ['batch', 'RequestFailedError'],
+      ['subrequest', 'SubrequestNotRetriedError'],
+    ])
+  })
+})
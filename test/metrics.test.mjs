@@ -0,0 +1,143 @@
+import { describe, expect, test } from 'vitest'
+
+import { createMetricsRegistry, M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Sample lines (no HELP/TYPE) of the rendered registry.
+const samples = (registry) =>
+  registry
+    .render()
+    .split('\n')
+    .filter((line) => line && !line.startsWith('#'))
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+describe('metrics registry', () => {
+  test('renders counters and histograms in Prometheus text format', () => {
+    const registry = createMetricsRegistry({ prefix: 'app_' })
+    const counter = registry.counter('things_total', 'Things.')
+    counter.inc({ kind: 'a"b\\c' })
+    counter.inc({ kind: 'a"b\\c' }, 2)
+    const histogram = registry.histogram('latency_seconds', 'Latency.', [0.1, 1])
+    histogram.observe({}, 0.05)
+    histogram.observe({}, 0.5)
+
+    expect(registry.counter('things_total', 'Things.')).toBe(counter)
+    expect(() => registry.histogram('things_total', 'x')).toThrow(/already registered as a counter/)
+    expect(registry.render()).toBe(
+      [
+        '# HELP app_things_total Things.',
+        '# TYPE app_things_total counter',
+        'app_things_total{kind="a\\"b\\\\c"} 3',
+        '# HELP app_latency_seconds Latency.',
+        '# TYPE app_latency_seconds histogram',
+        'app_latency_seconds_bucket{le="0.1"} 1',
+        'app_latency_seconds_bucket{le="1"} 2',
+        'app_latency_seconds_bucket{le="+Inf"} 2',
+        'app_latency_seconds_sum 0.55',
+        'app_latency_seconds_count 2',
+        '',
+      ].join('\n')
+    )
+
+    registry.reset()
+    expect(samples(registry)).toEqual([])
+  })
+
+  test('client feeds subrequests, statuses, retries, sleeps, throttling, pages and latency', async () => {
+    const registry = createMetricsRegistry()
+    let nowMs = 0
+    const link = 'https://graph.microsoft.com/v1.0/users?$skiptoken=a'
+    const { axios } = createHandlerAxios((config, n) => {
+      nowMs += 250
+      if (config.method === 'GET') return createAxiosResponse({ data: { value: [2] } })
+      if (n === 1) return createAxiosResponse({ status: 429, headers: { 'retry-after': '1' } })
+      return createAxiosResponse({
+        data: {
+          responses: config.data.requests.map((r) => {
+            if (r.id === 'users') return subresponse('users', 200, { body: { value: [1], '@odata.nextLink': link } })
+            return subresponse(r.id, n === 2 ? 503 : 404)
+          }),
+        },
+      })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      now: () => nowMs,
+      initialBackoffMs: 200,
+      jitterRatio: 0,
+      metrics: registry,
+    })
+    await client.batch([
+      { id: 'users', url: '/users' },
+      { id: 'missing', url: '/missing' },
+    ])
+
+    expect(samples(registry).filter((line) => !line.includes('_bucket'))).toEqual([
+      'm365_graph_batch_subrequests_total 2',
+      'm365_graph_batch_subrequest_responses_total{status="200"} 1',
+      'm365_graph_batch_subrequest_responses_total{status="404"} 1',
+      'm365_graph_batch_http_responses_total{stage="batch",status="429"} 1',
+      'm365_graph_batch_http_responses_total{stage="batch",status="200"} 2',
+      'm365_graph_batch_http_responses_total{stage="pagination",status="200"} 1',
+      'm365_graph_batch_retries_total{stage="batch"} 1',
+      'm365_graph_batch_retries_total{stage="subrequest"} 1',
+      'm365_graph_batch_throttle_sleep_seconds_total 1',
+      'm365_graph_batch_retry_sleep_seconds_total{reason="backoff"} 0.2',
+      'm365_graph_batch_pagination_pages_total 1',
+      'm365_graph_batch_request_duration_seconds_sum{stage="batch"} 0.75',
+      'm365_graph_batch_request_duration_seconds_count{stage="batch"} 3',
+      'm365_graph_batch_request_duration_seconds_sum{stage="pagination"} 0.25',
+      'm365_graph_batch_request_duration_seconds_count{stage="pagination"} 1',
+      'm365_graph_batch_batch_duration_seconds_sum 1',
+      'm365_graph_batch_batch_duration_seconds_count 1',
+    ])
+    expect(samples(registry)).toContain('m365_graph_batch_batch_duration_seconds_bucket{le="1"} 1')
+  })
+
+  test('counts token refreshes of the built-in providers', async () => {
+    const registry = createMetricsRegistry()
+    const { axios } = createHandlerAxios((config, n) => {
+      if (config.url.includes('/oauth2/')) {
+        return n === 1
+          ? createAxiosResponse({ status: 400, data: { error: 'invalid_client' } })
+          : createAxiosResponse({ data: { access_token: 'at', expires_in: 3600 } })
+      }
+      return createAxiosResponse({ data: { responses: [subresponse('1', 200)] } })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      auth: { type: 'clientCredentials', tenantId: 't', clientId: 'c', clientSecret: 's' },
+      metrics: registry,
+    })
+    await expect(client.batch([{ id: '1', url: '/me' }], { mode: 'strict' })).rejects.toThrow(/OAuth token refresh/)
+    await client.batch([{ id: '1', url: '/me' }])
+    await client.batch([{ id: '1', url: '/me' }])
+
+    expect(samples(registry).filter((line) => line.includes('token_refreshes'))).toEqual([
+      'm365_graph_batch_token_refreshes_total{result="failure"} 1',
+      'm365_graph_batch_token_refreshes_total{result="success"} 1',
+    ])
+  })
+
+  test('validates options.metrics', () => {
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', metrics: true })).toThrow(
+      /options\.metrics must be a registry from createMetricsRegistry\(\)/
+    )
+  })
+})
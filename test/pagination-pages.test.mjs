@@ -0,0 +1,147 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { M365GraphBatchClient, PaginationExceededMaxPagesError, PaginationExternalNextLinkError } from '..'
+import { createPaginationHandler } from '../internal/pagination'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// $batch returns page 1 of `/items`; GET /items?page=N returns page N until `lastPage`.
+function createPagedAxios({ lastPage = 3 } = {}) {
+  const calls = []
+  const pageBody = (n) => ({
+    value: [`item-${n}`],
+    ...(n < lastPage ? { '@odata.nextLink': `https://graph.microsoft.com/v1.0/items?page=${n + 1}` } : {}),
+  })
+
+  const axios = {
+    async request(config) {
+      calls.push(config)
+      if (config.method === 'GET') {
+        const n = Number(new URL(config.url).searchParams.get('page'))
+        return createAxiosResponse({ data: pageBody(n) })
+      }
+      return createAxiosResponse({
+        data: { responses: [{ id: '1', status: 200, headers: {}, body: pageBody(1) }] },
+      })
+    },
+  }
+
+  return { axios, calls }
+}
+
+describe('page-by-page pagination', () => {
+  test('handler iteratePages yields the body first and fetches following pages lazily', async () => {
+    const getWithGlobalRetry = vi
+      .fn()
+      .mockResolvedValueOnce({ value: [2], '@odata.nextLink': '/p3' })
+      .mockResolvedValueOnce({ value: [3] })
+
+    const handler = createPaginationHandler({
+      getWithGlobalRetry,
+      graphOrigin: 'https://graph.example',
+      maxPaginationPages: 10,
+    })
+
+    const pages = handler.iteratePages({ value: [1], '@odata.nextLink': '/p2' }, { id: '1' })
+
+    expect((await pages.next()).value.value).toEqual([1])
+    expect(getWithGlobalRetry).not.toHaveBeenCalled()
+
+    expect((await pages.next()).value.value).toEqual([2])
+    expect(getWithGlobalRetry).toHaveBeenLastCalledWith('https://graph.example/p2', undefined)
+
+    expect((await pages.next()).value.value).toEqual([3])
+    expect((await pages.next()).done).toBe(true)
+    expect(getWithGlobalRetry).toHaveBeenCalledTimes(2)
+  })
+
+  test('handler iteratePages keeps the nextLink origin check and max pages guard', async () => {
+    const handler = createPaginationHandler({
+      getWithGlobalRetry: async () => ({ value: [], '@odata.nextLink': '/again' }),
+      graphOrigin: 'https://graph.example',
+      maxPaginationPages: 2,
+    })
+
+    const drain = async (body) => {
+      for await (const _page of handler.iteratePages(body, { id: 'x' })) {
+        // no-op
+      }
+    }
+
+    await expect(drain({ value: [], '@odata.nextLink': 'https://evil.example/next' })).rejects.toThrow(
+      PaginationExternalNextLinkError
+    )
+    await expect(drain({ value: [], '@odata.nextLink': '/next' })).rejects.toThrow(PaginationExceededMaxPagesError)
+    await expect(drain(null)).resolves.toBeUndefined()
+  })
+
+  test('batch onPage receives every page in order without aggregating into body.value', async () => {
+    const { axios } = createPagedAxios({ lastPage: 3 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const pages = []
+    const out = await client.batch([{ id: '1', url: '/items' }], {
+      onPage: async ({ id, pageNumber, value }) => {
+        pages.push([id, pageNumber, value])
+      },
+    })
+
+    expect(pages).toEqual([
+      ['1', 1, ['item-1']],
+      ['1', 2, ['item-2']],
+      ['1', 3, ['item-3']],
+    ])
+    expect(out.responses['1'].body.value).toEqual(['item-1'])
+    expect(out.responses['1'].body['@odata.nextLink']).toBeUndefined()
+  })
+
+  test('batch onPage receives single-page collections as page 1', async () => {
+    const { axios, calls } = createPagedAxios({ lastPage: 1 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const onPage = vi.fn()
+    const out = await client.batch([{ id: '1', url: '/items' }], { onPage })
+
+    expect(calls).toHaveLength(1)
+    expect(onPage).toHaveBeenCalledTimes(1)
+    expect(onPage).toHaveBeenCalledWith(expect.objectContaining({ id: '1', pageNumber: 1, value: ['item-1'] }))
+    expect(out.responses['1'].body).toEqual({ value: ['item-1'] })
+  })
+
+  test('partial mode: onPage stops at maxPaginationPages and keeps the nextLink to resume from', async () => {
+    const { axios } = createPagedAxios({ lastPage: 10 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxPaginationPages: 2 })
+
+    const onPage = vi.fn()
+    const out = await client.batch([{ id: '1', url: '/items' }], { onPage })
+
+    expect(onPage).toHaveBeenCalledTimes(3)
+    expect(out.partial).toBe(true)
+    expect(out.errors[0]).toMatchObject({ id: '1', stage: 'pagination', type: 'PaginationExceededMaxPagesError' })
+    expect(out.responses['1'].body['@odata.nextLink']).toBe('https://graph.microsoft.com/v1.0/items?page=4')
+  })
+
+  test('client.iteratePages walks a subresponse fetched with paginate: false', async () => {
+    const { axios, calls } = createPagedAxios({ lastPage: 2 })
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const out = await client.batch([{ id: '1', url: '/items' }], { paginate: false })
+    expect(calls).toHaveLength(1)
+
+    const values = []
+    for await (const page of client.iteratePages(out.responses['1'])) values.push(...page.value)
+
+    expect(values).toEqual(['item-1', 'item-2'])
+    expect(calls).toHaveLength(2)
+    expect(() => client.iteratePages(null)).toThrow(/response is required/)
+  })
+})
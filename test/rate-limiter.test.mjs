@@ -0,0 +1,209 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createRateLimiter } from '../internal/rateLimiter'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Sleeps stay pending until released, so tests control when a pause ends.
+function createManualSleep() {
+  const calls = []
+  const sleep = (ms, { signal } = {}) =>
+    new Promise((resolve) => {
+      calls.push({ ms, signal, resolve })
+    })
+  const release = () => {
+    for (const call of calls) call.resolve()
+  }
+  return { sleep, calls, release }
+}
+
+const okBatch = (config) =>
+  createAxiosResponse({
+    data: { responses: config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} })) },
+  })
+
+describe('rate limiter', () => {
+  test('throttle pauses every acquire() until the pause ends, with a single sleep', async () => {
+    const manual = createManualSleep()
+    const limiter = createRateLimiter({ now: () => 0, sleep: manual.sleep })
+
+    limiter.throttle(1000)
+    limiter.throttle(500)
+    expect(limiter.throttledUntilMs).toBe(1000)
+
+    let acquired = 0
+    const waiting = [limiter.acquire(), limiter.acquire()].map((p) => p.then(() => acquired++))
+
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(acquired).toBe(0)
+    expect(manual.calls.map((c) => c.ms)).toEqual([1000])
+
+    manual.release()
+    await Promise.all(waiting)
+    expect(acquired).toBe(2)
+
+    limiter.throttle(0)
+    await limiter.acquire()
+    expect(manual.calls).toHaveLength(1)
+  })
+
+  test('a longer throttle extends an active pause', async () => {
+    let now = 0
+    const manual = createManualSleep()
+    const limiter = createRateLimiter({ now: () => now, sleep: manual.sleep })
+
+    limiter.throttle(1000)
+    const waiting = limiter.acquire()
+    now = 400
+    limiter.throttle(2000)
+
+    manual.calls[0].resolve()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(limiter.throttledUntilMs).toBe(2400)
+
+    let done = false
+    waiting.then(() => {
+      done = true
+    })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(done).toBe(false)
+
+    manual.calls[1].resolve()
+    await waiting
+    expect(manual.calls.map((c) => c.ms)).toEqual([1000, 2000])
+  })
+
+  test('the pause sleep is cancelled once every waiter aborted and resumed by the next acquire()', async () => {
+    let now = 0
+    const manual = createManualSleep()
+    const limiter = createRateLimiter({ now: () => now, sleep: manual.sleep })
+
+    limiter.throttle(1000)
+    expect(manual.calls).toHaveLength(0)
+
+    // The first waiter starts the full pause, even if the clock moved since throttle().
+    now = 5
+    const controllers = [new AbortController(), new AbortController()]
+    const waiting = controllers.map((c) => limiter.acquire({ signal: c.signal }).catch((e) => e))
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(manual.calls.map((c) => c.ms)).toEqual([1000])
+
+    controllers[0].abort(new Error('first'))
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(manual.calls[0].signal.aborted).toBe(false)
+
+    controllers[1].abort(new Error('second'))
+    expect((await Promise.all(waiting)).map((e) => e.message)).toEqual(['first', 'second'])
+    expect(manual.calls[0].signal.aborted).toBe(true)
+
+    now = 300
+    const resumed = limiter.acquire()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(manual.calls.map((c) => c.ms)).toEqual([1000, 700])
+
+    manual.calls[1].resolve()
+    await resumed
+  })
+
+  test('token bucket spaces requests after the burst', async () => {
+    let now = 0
+    const sleeps = []
+    const limiter = createRateLimiter({
+      requestsPerSecond: 10,
+      burst: 2,
+      now: () => now,
+      sleep: async (ms) => {
+        sleeps.push(ms)
+        now += ms
+      },
+    })
+
+    for (let i = 0; i < 4; i++) await limiter.acquire()
+    expect(sleeps).toEqual([100, 100])
+
+    // Idle time refills the bucket.
+    now += 1000
+    await limiter.acquire()
+    await limiter.acquire()
+    expect(sleeps).toEqual([100, 100])
+  })
+
+  test('validates options', () => {
+    const sleep = async () => {}
+    expect(() => createRateLimiter({ requestsPerSecond: 0, sleep, now: Date.now })).toThrow(/requestsPerSecond/)
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', rateLimit: { burst: 0 } })).toThrow(
+      /options\.rateLimit\.burst must be a positive integer/
+    )
+  })
+
+  test('a 429 on one batch() call pauses other calls on the same client', async () => {
+    const manual = createManualSleep()
+    const calls = []
+    const axios = {
+      request: vi.fn(async (config) => {
+        calls.push(config)
+        if (calls.length === 1) return createAxiosResponse({ status: 429, headers: { 'Retry-After': '5' }, data: {} })
+        return okBatch(config)
+      }),
+    }
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: manual.sleep })
+
+    const first = client.batch([{ id: 'a', url: '/a' }])
+    await vi.waitFor(() => expect(manual.calls).toHaveLength(1))
+
+    const second = client.batch([{ id: 'b', url: '/b' }])
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(calls).toHaveLength(1)
+
+    manual.release()
+    const [outA, outB] = await Promise.all([first, second])
+
+    expect(manual.calls.map((c) => c.ms)).toEqual([5000])
+    expect(calls).toHaveLength(3)
+    expect(outA.responses.a.status).toBe(200)
+    expect(outB.responses.b.status).toBe(200)
+  })
+
+  test('a throttled subrequest pauses other calls and is retried after the pause', async () => {
+    const manual = createManualSleep()
+    const calls = []
+    const axios = {
+      request: vi.fn(async (config) => {
+        calls.push(config)
+        if (calls.length === 1) {
+          return createAxiosResponse({
+            data: { responses: [{ id: 'a', status: 429, headers: { 'Retry-After': '2' }, body: {} }] },
+          })
+        }
+        return okBatch(config)
+      }),
+    }
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: manual.sleep })
+
+    const first = client.batch([{ id: 'a', url: '/a' }])
+    await vi.waitFor(() => expect(manual.calls).toHaveLength(1))
+
+    const second = client.batch([{ id: 'b', url: '/b' }])
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(calls).toHaveLength(1)
+
+    manual.release()
+    const [outA] = await Promise.all([first, second])
+
+    expect(manual.calls.map((c) => c.ms)).toEqual([2000])
+    expect(outA.responses.a.status).toBe(200)
+    expect(calls).toHaveLength(3)
+  })
+})
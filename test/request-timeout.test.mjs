@@ -0,0 +1,197 @@
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient, RequestTimeoutError } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createMockSleep() {
+  const calls = []
+  const sleep = async (ms) => {
+    calls.push(ms)
+  }
+  return { sleep, calls }
+}
+
+// What axios throws when `timeout` elapses.
+const timeoutError = (config) =>
+  Object.assign(new Error(`timeout of ${config.timeout}ms exceeded`), { code: 'ECONNABORTED', config })
+
+// What Node throws when the OS gives up connecting; not one of axios's own timeouts.
+const connectTimeoutError = (config) =>
+  Object.assign(new Error('connect ETIMEDOUT 20.190.160.1:443'), {
+    code: 'ETIMEDOUT',
+    errno: -110,
+    syscall: 'connect',
+    config,
+  })
+
+const okBatch = (config) =>
+  createAxiosResponse({
+    data: { responses: config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} })) },
+  })
+
+describe('requestTimeoutMs', () => {
+  test('is passed to axios per attempt and timeouts are retried with backoff', async () => {
+    const sleep = createMockSleep()
+    const { axios, calls } = createHandlerAxios((config, n) => {
+      if (n <= 2) throw timeoutError(config)
+      return okBatch(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: sleep.sleep,
+      requestTimeoutMs: 5000,
+      initialBackoffMs: 100,
+      jitterRatio: 0,
+    })
+
+    const out = await client.batch([{ id: '1', url: '/me' }], { mode: 'strict' })
+
+    expect(out.responses['1'].status).toBe(200)
+    expect(calls.map((c) => c.timeout)).toEqual([5000, 5000, 5000])
+    expect(sleep.calls).toEqual([100, 200])
+  })
+
+  test('no timeout is set by default', async () => {
+    const { axios, calls } = createHandlerAxios(okBatch)
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    await client.batch([{ id: '1', url: '/me' }])
+
+    expect(calls[0]).not.toHaveProperty('timeout')
+  })
+
+  test('strict mode throws RequestTimeoutError with the attempt count once retries run out', async () => {
+    const { axios, calls } = createHandlerAxios((config) => {
+      throw timeoutError(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      requestTimeoutMs: 250,
+      maxBatchRetries: 2,
+    })
+
+    const err = await client.batch([{ id: '1', url: '/me' }], { mode: 'strict' }).catch((e) => e)
+
+    expect(err).toBeInstanceOf(RequestTimeoutError)
+    expect(err).toMatchObject({ attempts: 3, timeoutMs: 250 })
+    expect(err.message).toBe('Request timed out after 3 attempts (timeout 250ms per attempt)')
+    expect(err.code).toBe('ECONNABORTED')
+    expect(err.cause.code).toBe('ECONNABORTED')
+    expect(calls).toHaveLength(3)
+  })
+
+  test('partial mode reports a timed-out chunk like other transport failures', async () => {
+    const { axios } = createHandlerAxios((config) => {
+      throw timeoutError(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      requestTimeoutMs: 250,
+      maxBatchRetries: 0,
+    })
+
+    const out = await client.batch([{ id: '1', url: '/me' }])
+
+    expect(out.responses['1'].status).toBe(599)
+    expect(out.errors).toEqual([
+      expect.objectContaining({
+        stage: 'batch',
+        type: 'RequestTimeoutError',
+        message: 'Request timed out after 1 attempt (timeout 250ms per attempt)',
+        code: 'ECONNABORTED',
+        url: 'https://graph.microsoft.com/v1.0/$batch',
+      }),
+    ])
+  })
+
+  test('other ETIMEDOUT errors surface unwrapped, with or without requestTimeoutMs', async () => {
+    for (const requestTimeoutMs of [undefined, 250]) {
+      const { axios, calls } = createHandlerAxios((config) => {
+        throw connectTimeoutError(config)
+      })
+      const client = new M365GraphBatchClient({
+        axios,
+        getAccessToken: async () => 't',
+        sleep: async () => {},
+        requestTimeoutMs,
+        maxBatchRetries: 1,
+      })
+
+      const err = await client.batch([{ id: '1', url: '/me' }], { mode: 'strict' }).catch((e) => e)
+      expect(err).not.toBeInstanceOf(RequestTimeoutError)
+      expect(err).toMatchObject({ code: 'ETIMEDOUT', errno: -110, syscall: 'connect' })
+      expect(calls).toHaveLength(2)
+
+      const out = await client.batch([{ id: '1', url: '/me' }])
+      expect(out.errors).toEqual([
+        expect.objectContaining({
+          stage: 'batch',
+          type: 'Error',
+          message: 'connect ETIMEDOUT 20.190.160.1:443',
+          code: 'ETIMEDOUT',
+          errno: -110,
+          syscall: 'connect',
+        }),
+      ])
+    }
+  })
+
+  test('validates requestTimeoutMs', () => {
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', requestTimeoutMs: 0 })).toThrow(
+      /options\.requestTimeoutMs must be a positive number/
+    )
+  })
+
+  test('a timed-out $batch holding a POST is sent once', async () => {
+    const requests = [
+      { id: 'me', url: '/me' },
+      { id: 'mail', method: 'POST', url: '/me/sendMail' },
+    ]
+    const { axios, calls } = createHandlerAxios((config, n) => {
+      if (n === 1) throw timeoutError(config)
+      return okBatch(config)
+    })
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      requestTimeoutMs: 5000,
+    })
+
+    const err = await client.batch(requests, { mode: 'strict' }).catch((e) => e)
+    expect(calls).toHaveLength(1)
+    expect(err).toBeInstanceOf(RequestTimeoutError)
+    expect(err).toMatchObject({ attempts: 1, timeoutMs: 5000, notRetriedIds: ['mail'] })
+
+    axios.request.mockClear()
+    calls.length = 0
+    const out = await client.batch(requests)
+    expect(calls).toHaveLength(1)
+    expect(out.responseList.map((r) => r.status)).toEqual([599, 599])
+    expect(out.errors).toEqual([
+      expect.objectContaining({ stage: 'batch', type: 'RequestTimeoutError' }),
+      expect.objectContaining({
+        id: 'mail',
+        stage: 'subrequest',
+        type: 'SubrequestNotRetriedError',
+        status: 'unknown',
+      }),
+    ])
+  })
+})
@@ -0,0 +1,273 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { DEFAULT_RETRYABLE_ERROR_CODES, M365GraphBatchClient } from '..'
+import { getGraphErrorCodes } from '../internal/retryPolicy'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createMockSleep() {
+  const calls = []
+  const sleep = async (ms) => {
+    calls.push(ms)
+  }
+  return { sleep, calls }
+}
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+describe('retryPolicy', () => {
+  test('can retry a status the defaults treat as final (423 Locked) with its own delay', async () => {
+    const sleep = createMockSleep()
+    const { axios, calls } = createHandlerAxios((config, n) =>
+      createAxiosResponse({
+        data: {
+          responses: config.data.requests.map((r) => subresponse(r.id, r.id === 'doc' && n === 1 ? 423 : 200)),
+        },
+      })
+    )
+
+    const retryPolicy = vi.fn(({ stage, request, response }) => {
+      if (stage === 'subrequest' && response.status === 423 && request.url.includes('/drive/')) {
+        return { retry: true, delayMs: 1500 }
+      }
+      return undefined
+    })
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: sleep.sleep, retryPolicy })
+    const out = await client.batch([
+      { id: 'doc', url: '/drives/d/drive/items/1' },
+      { id: 'me', url: '/me' },
+    ])
+
+    expect(out.responses.doc.status).toBe(200)
+    expect(calls).toHaveLength(2)
+    expect(calls[1].data.requests.map((r) => r.id)).toEqual(['doc'])
+    expect(sleep.calls).toEqual([1500])
+    expect(retryPolicy).toHaveBeenCalledWith({
+      stage: 'subrequest',
+      request: { id: 'doc', url: '/drives/d/drive/items/1' },
+      response: expect.objectContaining({ id: 'doc', status: 423 }),
+      attempt: 1,
+      defaultRetry: false,
+    })
+  })
+
+  test('can stop retries for a specific endpoint', async () => {
+    const { axios, calls } = createHandlerAxios((config) =>
+      createAxiosResponse({ data: { responses: config.data.requests.map((r) => subresponse(r.id, 503)) } })
+    )
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      maxSubrequestRetries: 1,
+      retryPolicy: ({ request }) => (request.url?.startsWith('/reports') ? false : undefined),
+    })
+
+    const out = await client.batch([
+      { id: 'report', url: '/reports/getOffice365ActiveUserDetail' },
+      { id: 'users', url: '/users' },
+    ])
+
+    expect(calls.map((c) => c.data.requests.map((r) => r.id))).toEqual([['report', 'users'], ['users']])
+    expect(out.responses.report.status).toBe(503)
+    expect(out.errors.map((e) => e.id)).toEqual(['users'])
+  })
+
+  test('passes the attempt number and keeps maxSubrequestRetries as the cap', async () => {
+    const { axios } = createHandlerAxios((config) =>
+      createAxiosResponse({ data: { responses: config.data.requests.map((r) => subresponse(r.id, 409)) } })
+    )
+    const attempts = []
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      maxSubrequestRetries: 2,
+      retryPolicy: async ({ attempt }) => {
+        attempts.push(attempt)
+        return true
+      },
+    })
+
+    await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toThrow(
+      /Subrequest 1 exceeded retries \(last status 409\)/
+    )
+    expect(attempts).toEqual([1, 2, 3])
+  })
+
+  test('applies to the outer $batch call, including network errors', async () => {
+    const sleep = createMockSleep()
+    const networkError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const { axios, calls } = createHandlerAxios((_config, n) => {
+      if (n === 1) throw networkError
+      if (n === 2) return createAxiosResponse({ status: 400, data: { error: { code: 'BadRequest' } } })
+      return createAxiosResponse({ data: { responses: [subresponse('1', 200)] } })
+    })
+
+    const contexts = []
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: sleep.sleep,
+      retryPolicy: (context) => {
+        contexts.push(context)
+        return { retry: true, delayMs: 10 }
+      },
+    })
+
+    const out = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })
+
+    expect(out.responses['1'].status).toBe(200)
+    expect(calls).toHaveLength(3)
+    expect(sleep.calls).toEqual([10, 10])
+    expect(contexts.map(({ stage, attempt, defaultRetry }) => ({ stage, attempt, defaultRetry }))).toEqual([
+      { stage: 'batch', attempt: 1, defaultRetry: true },
+      { stage: 'batch', attempt: 2, defaultRetry: false },
+    ])
+    expect(contexts[0]).toMatchObject({ request: { method: 'POST', url: '/$batch' }, error: networkError })
+    expect(contexts[1].response).toEqual({
+      status: 400,
+      headers: {},
+      body: { error: { code: 'BadRequest' } },
+    })
+  })
+
+  test('applies to pagination requests and can make them final', async () => {
+    const { axios, calls } = createHandlerAxios((config) => {
+      if (config.method === 'POST') {
+        return createAxiosResponse({
+          data: {
+            responses: [
+              subresponse('1', 200, {
+                body: { value: [1], '@odata.nextLink': 'https://graph.microsoft.com/v1.0/users?$skiptoken=a' },
+              }),
+            ],
+          },
+        })
+      }
+      return createAxiosResponse({ status: 503, data: {} })
+    })
+
+    const stages = []
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      retryPolicy: ({ stage, request }) => {
+        stages.push([stage, request.method])
+        return stage === 'pagination' ? false : undefined
+      },
+    })
+
+    const out = await client.batch([{ id: '1', url: '/users' }])
+
+    expect(calls).toHaveLength(2)
+    // The 200 subresponse is never offered to the policy.
+    expect(stages).toEqual([['pagination', 'GET']])
+    expect(out.errors).toEqual([expect.objectContaining({ id: '1', stage: 'pagination', type: 'RequestFailedError' })])
+  })
+
+  test('validates retryPolicy', () => {
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', retryPolicy: 'never' })).toThrow(
+      /options\.retryPolicy must be a function/
+    )
+  })
+})
+
+describe('retryable Graph error codes', () => {
+  const graphError = (code, innerError) => ({ error: { code, message: 'm', ...(innerError ? { innerError } : {}) } })
+
+  test('getGraphErrorCodes walks nested innerError codes', () => {
+    expect(
+      getGraphErrorCodes(graphError('BadRequest', { code: 'outer', innerError: { code: 'ConcurrencyViolation' } }))
+    ).toEqual(['BadRequest', 'outer', 'ConcurrencyViolation'])
+    expect(getGraphErrorCodes(JSON.stringify(graphError('activityLimitReached')))).toEqual(['activityLimitReached'])
+    expect(getGraphErrorCodes({ error: { code: 'x', innererror: { code: 'y' } } })).toEqual(['x', 'y'])
+    expect(getGraphErrorCodes('<html>')).toEqual([])
+    expect(getGraphErrorCodes(undefined)).toEqual([])
+  })
+
+  test('retries subrequests whose body carries a transient code, including nested ones', async () => {
+    const sleep = createMockSleep()
+    const { axios, calls } = createHandlerAxios((config, n) =>
+      createAxiosResponse({
+        data: {
+          responses: config.data.requests.map((r) => {
+            if (n > 1) return subresponse(r.id, 200)
+            if (r.id === 'a') return subresponse('a', 403, { body: graphError('ServiceNotAvailable') })
+            if (r.id === 'b')
+              return subresponse('b', 409, { body: graphError('Conflict', { code: 'ConcurrencyViolation' }) })
+            return subresponse(r.id, 400, { body: graphError('BadRequest') })
+          }),
+        },
+      })
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: sleep.sleep })
+    const out = await client.batch([
+      { id: 'a', url: '/a' },
+      { id: 'b', url: '/b' },
+      { id: 'c', url: '/c' },
+    ])
+
+    expect(calls[1].data.requests.map((r) => r.id)).toEqual(['a', 'b'])
+    expect(out.responseList.map((r) => r.status)).toEqual([200, 200, 400])
+    expect(out.errors).toEqual([])
+  })
+
+  test('retries the outer call on a transient code', async () => {
+    const { axios, calls } = createHandlerAxios((_config, n) =>
+      n === 1
+        ? createAxiosResponse({ status: 403, data: graphError('activityLimitReached') })
+        : createAxiosResponse({ data: { responses: [subresponse('1', 200)] } })
+    )
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', sleep: async () => {} })
+    const out = await client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })
+
+    expect(calls).toHaveLength(2)
+    expect(out.responses['1'].status).toBe(200)
+  })
+
+  test('retryableErrorCodes replaces the defaults and is exposed as defaultRetry', async () => {
+    const { axios, calls } = createHandlerAxios((config) =>
+      createAxiosResponse({
+        data: {
+          responses: config.data.requests.map((r) =>
+            subresponse(r.id, 400, { body: graphError('serviceNotAvailable') })
+          ),
+        },
+      })
+    )
+    const defaults = []
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      retryableErrorCodes: [...DEFAULT_RETRYABLE_ERROR_CODES.filter((c) => c !== 'serviceNotAvailable'), 'custom'],
+      retryPolicy: ({ defaultRetry }) => {
+        defaults.push(defaultRetry)
+      },
+    })
+    await client.batch([{ id: '1', url: '/a' }])
+
+    expect(calls).toHaveLength(1)
+    expect(defaults).toEqual([false])
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', retryableErrorCodes: 'x' })).toThrow(
+      /options\.retryableErrorCodes must be an array/
+    )
+  })
+})
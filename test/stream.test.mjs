@@ -0,0 +1,112 @@
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+function createBatchAxios(statusFor = () => 200) {
+  const calls = []
+  const axios = {
+    async request(config) {
+      calls.push(config)
+      if (config.method === 'GET') {
+        return createAxiosResponse({ data: { value: [{ page: 2 }] } })
+      }
+      const responses = config.data.requests.map((r) => {
+        const status = statusFor(r.id)
+        const body = r.id === 'paged' ? { value: [{ page: 1 }], '@odata.nextLink': '/next' } : { id: r.id }
+        return { id: r.id, status, headers: {}, body }
+      })
+      return createAxiosResponse({ data: { responses } })
+    },
+  }
+  return { axios, calls }
+}
+
+describe('batchStream', () => {
+  test('yields subresponses chunk by chunk before later chunks are requested', async () => {
+    const { axios, calls } = createBatchAxios()
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 2 })
+
+    const seen = []
+    for await (const item of client.batchStream([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b' },
+      { id: '3', url: '/c' },
+    ])) {
+      seen.push([item.kind, item.response.id, calls.length])
+    }
+
+    expect(seen).toEqual([
+      ['response', '1', 1],
+      ['response', '2', 1],
+      ['response', '3', 2],
+    ])
+  })
+
+  test('paginates before yielding and yields error entries in partial mode', async () => {
+    const { axios } = createBatchAxios((id) => ({ missing: 404, dependent: 424 })[id] ?? 200)
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const items = []
+    for await (const item of client.batchStream([
+      { id: 'paged', url: '/users' },
+      { id: 'missing', url: '/x' },
+      { id: 'dependent', url: '/y', dependsOn: ['missing'] },
+    ])) {
+      items.push(item)
+    }
+
+    expect(items.map((i) => i.kind)).toEqual(['response', 'response', 'response', 'error'])
+    expect(items[0].response.body.value).toEqual([{ page: 1 }, { page: 2 }])
+    expect(items[2].response.status).toBe(424)
+    expect(items[3].error).toMatchObject({ id: 'dependent', stage: 'dependency' })
+  })
+
+  test('stops requesting chunks when the consumer breaks early', async () => {
+    const { axios, calls } = createBatchAxios()
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', maxRequestsPerBatch: 1 })
+
+    for await (const item of client.batchStream([
+      { id: '1', url: '/a' },
+      { id: '2', url: '/b' },
+      { id: '3', url: '/c' },
+    ])) {
+      expect(item.response.id).toBe('1')
+      break
+    }
+
+    expect(calls).toHaveLength(1)
+  })
+
+  test('strict mode throws from the iterator and applies SSRF checks', async () => {
+    const { axios, calls } = createBatchAxios()
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    const consume = async () => {
+      for await (const _item of client.batchStream([{ id: '1', url: 'https://evil.example/x' }], { mode: 'strict' })) {
+        // no-op
+      }
+    }
+
+    await expect(consume()).rejects.toThrow(/origin mismatch/)
+    expect(calls).toHaveLength(0)
+  })
+
+  test('validates input like batch()', async () => {
+    const { axios } = createBatchAxios()
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't' })
+
+    await expect(client.batchStream('nope').next()).rejects.toThrow(/requests must be an array/)
+    expect(await client.batchStream([]).next()).toEqual({ done: true, value: undefined })
+  })
+})
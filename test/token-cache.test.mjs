@@ -0,0 +1,203 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+
+import { createFileTokenCache, createMemoryTokenCache, M365GraphBatchClient } from '..'
+import { createClientCredentialsAccessTokenProvider } from '../internal/tokenProvider'
+
+function createTokenAxios() {
+  const tokenCalls = []
+  const axios = {
+    request: vi.fn(async (config) => {
+      if (config.url.includes('/oauth2/v2.0/token')) {
+        tokenCalls.push(Object.fromEntries(new URLSearchParams(config.data)))
+        return { status: 200, headers: {}, data: { access_token: `token-${tokenCalls.length}`, expires_in: 3600 } }
+      }
+      const responses = config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} }))
+      return { status: 200, headers: {}, data: { responses } }
+    }),
+  }
+  return { axios, tokenCalls }
+}
+
+const auth = { type: 'clientCredentials', tenantId: 'tenant', clientId: 'client', clientSecret: 'secret' }
+
+describe('token cache', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm365-token-cache-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('clients sharing a memory cache request the token once', async () => {
+    const { axios, tokenCalls } = createTokenAxios()
+    const tokenCache = createMemoryTokenCache()
+
+    const clients = [1, 2, 3].map(() => new M365GraphBatchClient({ axios, auth: { ...auth, tokenCache } }))
+    await Promise.all(clients.map((client) => client.batch([{ id: '1', url: '/users' }])))
+
+    expect(tokenCalls).toHaveLength(1)
+    expect(await tokenCache.get('nope')).toBeNull()
+  })
+
+  test('different scopes or clients get different cache keys', async () => {
+    const { axios, tokenCalls } = createTokenAxios()
+    const tokenCache = createMemoryTokenCache()
+
+    await createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })()
+    await createClientCredentialsAccessTokenProvider({ axios, ...auth, clientId: 'other', tokenCache })()
+    await createClientCredentialsAccessTokenProvider({ axios, ...auth, scope: 'https://x/.default', tokenCache })()
+    await createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })()
+
+    expect(tokenCalls.map((f) => `${f.client_id} ${f.scope}`)).toEqual([
+      'client https://graph.microsoft.com/.default',
+      'other https://graph.microsoft.com/.default',
+      'client https://x/.default',
+    ])
+  })
+
+  test('refreshes and stores a new entry when the cached one is near expiry', async () => {
+    const { axios, tokenCalls } = createTokenAxios()
+    const tokenCache = {
+      get: vi.fn(async () => ({ accessToken: 'stale', expiresAtMs: 10_000 })),
+      set: vi.fn(async () => {}),
+    }
+
+    const getAccessToken = createClientCredentialsAccessTokenProvider({
+      axios,
+      ...auth,
+      tokenCache,
+      tokenCacheKey: 'my-key',
+      now: () => 0,
+    })
+
+    expect(await getAccessToken()).toBe('token-1')
+    expect(tokenCalls).toHaveLength(1)
+    // Checked once before and once after the (missing) lock.
+    expect(tokenCache.get.mock.calls).toEqual([['my-key'], ['my-key']])
+    expect(tokenCache.set).toHaveBeenCalledWith('my-key', { accessToken: 'token-1', expiresAtMs: 3_600_000 })
+  })
+
+  test('claims and forced refreshes write the shared cache under its lock', async () => {
+    const { axios, tokenCalls } = createTokenAxios()
+    const memory = createMemoryTokenCache()
+    const events = []
+    let locked = false
+    const tokenCache = {
+      get: (key) => memory.get(key),
+      set: vi.fn(async (key, entry) => {
+        events.push(['set', entry.accessToken, locked])
+        await memory.set(key, entry)
+      }),
+      lock: (key, fn) =>
+        memory.lock(key, async () => {
+          locked = true
+          try {
+            return await fn()
+          } finally {
+            locked = false
+          }
+        }),
+    }
+
+    const getAccessToken = createClientCredentialsAccessTokenProvider({ axios, ...auth, tokenCache })
+
+    expect(await getAccessToken()).toBe('token-1')
+    expect(await getAccessToken({ claims: '{"access_token":{}}' })).toBe('token-2')
+    expect(await getAccessToken({ forceRefresh: true })).toBe('token-3')
+    expect(tokenCalls[1].claims).toBe('{"access_token":{}}')
+    expect(events).toEqual([
+      ['set', 'token-1', true],
+      ['set', 'token-2', true],
+      ['set', 'token-3', true],
+    ])
+  })
+
+  test('memory lock runs callbacks for a key one at a time', async () => {
+    const cache = createMemoryTokenCache()
+    const order = []
+    const task = (name, ms) => async () => {
+      order.push(`start ${name}`)
+      await new Promise((resolve) => setTimeout(resolve, ms))
+      order.push(`end ${name}`)
+      if (name === 'b') throw new Error('boom')
+      return name
+    }
+
+    const results = await Promise.allSettled([
+      cache.lock('k', task('a', 5)),
+      cache.lock('k', task('b', 0)),
+      cache.lock('k', task('c', 0)),
+    ])
+
+    expect(order).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c'])
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled'])
+  })
+
+  test('file cache shares tokens between independent cache instances (processes)', async () => {
+    const filePath = path.join(dir, 'tokens.json')
+    const { axios, tokenCalls } = createTokenAxios()
+
+    const first = createClientCredentialsAccessTokenProvider({
+      axios,
+      ...auth,
+      tokenCache: createFileTokenCache({ filePath }),
+    })
+    const second = createClientCredentialsAccessTokenProvider({
+      axios,
+      ...auth,
+      tokenCache: createFileTokenCache({ filePath }),
+    })
+
+    expect(await first()).toBe('token-1')
+    expect(await second()).toBe('token-1')
+    expect(tokenCalls).toHaveLength(1)
+
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600)
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false)
+    expect(Object.values(JSON.parse(fs.readFileSync(filePath, 'utf8')))).toEqual([
+      { accessToken: 'token-1', expiresAtMs: expect.any(Number) },
+    ])
+  })
+
+  test('file cache tolerates a corrupt file and removes stale locks', async () => {
+    const filePath = path.join(dir, 'tokens.json')
+    fs.writeFileSync(filePath, '{not json')
+    fs.writeFileSync(`${filePath}.lock`, '')
+    const old = new Date(Date.now() - 60_000)
+    fs.utimesSync(`${filePath}.lock`, old, old)
+
+    const cache = createFileTokenCache({ filePath })
+    expect(await cache.get('k')).toBeNull()
+    expect(await cache.lock('k', async () => 'locked')).toBe('locked')
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false)
+  })
+
+  test('file cache lock times out when another holder keeps it', async () => {
+    const filePath = path.join(dir, 'tokens.json')
+    fs.writeFileSync(`${filePath}.lock`, '')
+
+    let now = Date.now()
+    const sleep = vi.fn(async (ms) => {
+      now += ms
+    })
+    const cache = createFileTokenCache({ filePath, lockTimeoutMs: 200, lockStaleMs: 60_000, sleep, now: () => now })
+
+    await expect(cache.lock('k', async () => 'never')).rejects.toThrow(/Token cache lock timed out after 200ms/)
+    expect(sleep).toHaveBeenCalledTimes(4)
+    expect(() => createFileTokenCache({})).toThrow(/options\.filePath is required/)
+  })
+
+  test('rejects a token cache without get/set', () => {
+    const { axios } = createTokenAxios()
+    expect(() => new M365GraphBatchClient({ axios, auth: { ...auth, tokenCache: {} } })).toThrow(
+      /options\.auth\.tokenCache must implement get\(\) and set\(\)/
+    )
+  })
+})
@@ -0,0 +1,371 @@
+import { describe, expect, test, vi } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import {
+  createClientCredentialsAccessTokenProvider,
+  createManagedIdentityAccessTokenProvider,
+  createRefreshTokenAccessTokenProvider,
+  createWorkloadIdentityAccessTokenProvider,
+} from '../internal/tokenProvider'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// Serves token endpoint POSTs with `tokenResponse(form, n)` and answers every $batch subrequest with 200.
+function createTokenAxios(tokenResponse) {
+  const tokenCalls = []
+  const batchCalls = []
+
+  const axios = {
+    request: vi.fn(async (config) => {
+      if (config.url.includes('/oauth2/v2.0/token')) {
+        const form = Object.fromEntries(new URLSearchParams(config.data))
+        tokenCalls.push({ url: config.url, form })
+        return createAxiosResponse({ data: tokenResponse(form, tokenCalls.length) })
+      }
+
+      batchCalls.push(config)
+      const responses = config.data.requests.map((r) => ({ id: r.id, status: 200, headers: {}, body: {} }))
+      return createAxiosResponse({ data: { responses } })
+    }),
+  }
+
+  return { axios, tokenCalls, batchCalls }
+}
+
+describe('client credentials token provider', () => {
+  test('requests an app-only token with the .default scope and caches it', async () => {
+    const { axios, tokenCalls } = createTokenAxios((_form, n) => ({ access_token: `app-${n}`, expires_in: 3600 }))
+
+    let now = 0
+    const getAccessToken = createClientCredentialsAccessTokenProvider({
+      axios,
+      tenantId: 'tenant id',
+      clientId: 'client',
+      clientSecret: 'secret',
+      now: () => now,
+    })
+
+    expect(await getAccessToken()).toBe('app-1')
+    now = 3_000_000
+    expect(await getAccessToken()).toBe('app-1')
+
+    expect(tokenCalls).toEqual([
+      {
+        url: 'https://login.microsoftonline.com/tenant%20id/oauth2/v2.0/token',
+        form: {
+          client_id: 'client',
+          client_secret: 'secret',
+          grant_type: 'client_credentials',
+          scope: 'https://graph.microsoft.com/.default',
+        },
+      },
+    ])
+
+    // Inside the default 30s clock skew window the token is refreshed.
+    now = 3_580_000
+    expect(await getAccessToken()).toBe('app-2')
+  })
+
+  test('shares a single in-flight token request', async () => {
+    const { axios, tokenCalls } = createTokenAxios(() => ({ access_token: 'app', expires_in: 3600 }))
+    const getAccessToken = createClientCredentialsAccessTokenProvider({
+      axios,
+      tenantId: 'tenant',
+      clientId: 'client',
+      clientSecret: 'secret',
+    })
+
+    expect(await Promise.all([getAccessToken(), getAccessToken(), getAccessToken()])).toEqual(['app', 'app', 'app'])
+    expect(tokenCalls).toHaveLength(1)
+  })
+
+  test('validates required options', () => {
+    const { axios } = createTokenAxios(() => ({}))
+    expect(() => createClientCredentialsAccessTokenProvider({ axios, tenantId: 't', clientId: 'c' })).toThrow(
+      /options\.auth\.clientSecret is required/
+    )
+    expect(() => createClientCredentialsAccessTokenProvider({ axios, clientId: 'c', clientSecret: 's' })).toThrow(
+      /options\.auth\.tenantId is required/
+    )
+  })
+
+  test("constructor wires auth.type 'clientCredentials'", async () => {
+    const { axios, tokenCalls, batchCalls } = createTokenAxios(() => ({ access_token: 'app', expires_in: 3600 }))
+
+    const client = new M365GraphBatchClient({
+      axios,
+      auth: {
+        type: 'clientCredentials',
+        tenantId: 'tenant',
+        clientId: 'client',
+        clientSecret: 'secret',
+        scope: 'https://graph.microsoft.com/.default',
+      },
+    })
+
+    await client.batch([{ id: '1', url: '/users' }])
+    await client.batch([{ id: '2', url: '/groups' }])
+
+    expect(tokenCalls).toHaveLength(1)
+    expect(tokenCalls[0].form.grant_type).toBe('client_credentials')
+    expect(batchCalls.map((c) => c.headers.authorization)).toEqual(['Bearer app', 'Bearer app'])
+  })
+
+  test('constructor rejects an unknown auth.type', () => {
+    const { axios } = createTokenAxios(() => ({}))
+    expect(() => new M365GraphBatchClient({ axios, auth: { type: 'password' } })).toThrow(
+      /options\.auth\.type must be one of .* \(got password\)/
+    )
+  })
+})
+
+describe('workload identity token provider', () => {
+  test('exchanges the federated token file as a client assertion and re-reads it on refresh', async () => {
+    const { axios, tokenCalls } = createTokenAxios((_form, n) => ({ access_token: `wi-${n}`, expires_in: 3600 }))
+
+    let fileContents = 'federated-1\n'
+    const readFile = vi.fn(async () => fileContents)
+
+    let now = 0
+    const getAccessToken = createWorkloadIdentityAccessTokenProvider({
+      axios,
+      env: {
+        AZURE_TENANT_ID: 'tenant',
+        AZURE_CLIENT_ID: 'client',
+        AZURE_FEDERATED_TOKEN_FILE: '/var/run/secrets/azure/tokens/azure-identity-token',
+        AZURE_AUTHORITY_HOST: 'https://login.example/',
+      },
+      readFile,
+      now: () => now,
+    })
+
+    expect(await getAccessToken()).toBe('wi-1')
+    fileContents = 'federated-2'
+    now = 3_600_000
+    expect(await getAccessToken()).toBe('wi-2')
+
+    expect(readFile).toHaveBeenCalledWith('/var/run/secrets/azure/tokens/azure-identity-token')
+    expect(tokenCalls.map((c) => c.url)).toEqual([
+      'https://login.example/tenant/oauth2/v2.0/token',
+      'https://login.example/tenant/oauth2/v2.0/token',
+    ])
+    expect(tokenCalls.map((c) => c.form.client_assertion)).toEqual(['federated-1', 'federated-2'])
+    expect(tokenCalls[0].form).toMatchObject({
+      client_id: 'client',
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+    })
+  })
+
+  test('requires a token file and reads it from disk by default', async () => {
+    const { axios, tokenCalls } = createTokenAxios(() => ({ access_token: 'wi', expires_in: 3600 }))
+    expect(() => createWorkloadIdentityAccessTokenProvider({ axios, tenantId: 't', clientId: 'c', env: {} })).toThrow(
+      /options\.auth\.tokenFilePath is required/
+    )
+
+    const os = await import('node:os')
+    const fs = await import('node:fs')
+    const path = await import('node:path')
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm365-wi-'))
+    const tokenFilePath = path.join(dir, 'token')
+    fs.writeFileSync(tokenFilePath, 'from-disk')
+
+    try {
+      const client = new M365GraphBatchClient({
+        axios,
+        auth: { type: 'workloadIdentity', tenantId: 'tenant', clientId: 'client', tokenFilePath },
+      })
+      await client.batch([{ id: '1', url: '/users' }])
+      expect(tokenCalls[0].form.client_assertion).toBe('from-disk')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('managed identity token provider', () => {
+  test('calls the IMDS endpoint and caches by expires_in', async () => {
+    const axios = {
+      request: vi.fn(async () => createAxiosResponse({ data: { access_token: 'mi', expires_in: '3600' } })),
+    }
+
+    const getAccessToken = createManagedIdentityAccessTokenProvider({ axios, clientId: 'user-assigned', env: {} })
+
+    expect(await getAccessToken()).toBe('mi')
+    expect(await getAccessToken()).toBe('mi')
+    expect(axios.request).toHaveBeenCalledTimes(1)
+
+    const config = axios.request.mock.calls[0][0]
+    expect(config.method).toBe('GET')
+    expect(config.headers).toEqual({ metadata: 'true' })
+    const url = new URL(config.url)
+    expect(url.origin + url.pathname).toBe('http://169.254.169.254/metadata/identity/oauth2/token')
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      'api-version': '2018-02-01',
+      resource: 'https://graph.microsoft.com',
+      client_id: 'user-assigned',
+    })
+  })
+
+  test('uses IDENTITY_ENDPOINT/IDENTITY_HEADER and expires_on when present', async () => {
+    const axios = {
+      request: vi.fn(async () => createAxiosResponse({ data: { access_token: 'mi', expires_on: '4600' } })),
+    }
+
+    let now = 1_000_000
+    const getAccessToken = createManagedIdentityAccessTokenProvider({
+      axios,
+      env: { IDENTITY_ENDPOINT: 'http://localhost:42356/msi/token', IDENTITY_HEADER: 'secret-header' },
+      now: () => now,
+    })
+
+    await getAccessToken()
+    const config = axios.request.mock.calls[0][0]
+    expect(config.url).toBe(
+      'http://localhost:42356/msi/token?api-version=2019-08-01&resource=https%3A%2F%2Fgraph.microsoft.com'
+    )
+    expect(config.headers).toEqual({ 'x-identity-header': 'secret-header' })
+
+    // expires_on 4600s => valid until 4_600_000ms minus clock skew.
+    now = 4_500_000
+    await getAccessToken()
+    expect(axios.request).toHaveBeenCalledTimes(1)
+    now = 4_580_000
+    await getAccessToken()
+    expect(axios.request).toHaveBeenCalledTimes(2)
+  })
+
+  test('constructor wires a configurable endpoint', async () => {
+    const { axios, batchCalls } = createTokenAxios(() => ({}))
+    const request = axios.request
+    axios.request = vi.fn(async (config) =>
+      config.method === 'GET' ? createAxiosResponse({ data: { access_token: 'mi', expires_in: 60 } }) : request(config)
+    )
+
+    const client = new M365GraphBatchClient({
+      axios,
+      auth: { type: 'managedIdentity', endpoint: 'http://127.0.0.1:9999/token', headers: { 'x-extra': '1' } },
+    })
+    await client.batch([{ id: '1', url: '/users' }])
+
+    expect(axios.request.mock.calls[0][0].url).toMatch(/^http:\/\/127\.0\.0\.1:9999\/token\?api-version=2018-02-01/)
+    expect(axios.request.mock.calls[0][0].headers).toEqual({ metadata: 'true', 'x-extra': '1' })
+    expect(batchCalls[0].headers.authorization).toBe('Bearer mi')
+  })
+
+  test('surfaces endpoint failures and validates axios', async () => {
+    const axios = { request: async () => createAxiosResponse({ status: 400, data: { error: 'invalid_request' } }) }
+    await expect(createManagedIdentityAccessTokenProvider({ axios, env: {} })()).rejects.toThrow(
+      /OAuth token refresh failed \(400\)/
+    )
+    expect(() => createManagedIdentityAccessTokenProvider({ axios: {} })).toThrow(/options\.axios\.request is required/)
+  })
+})
+
+describe('refresh token rotation', () => {
+  const base = { tenantId: 'tenant', clientId: 'client', clientSecret: 'secret' }
+
+  test('adopts the rotated refresh token and reports it through the hook', async () => {
+    const { axios, tokenCalls } = createTokenAxios((_form, n) => ({
+      access_token: `at-${n}`,
+      expires_in: 3600,
+      refresh_token: `rt-${n + 1}`,
+    }))
+
+    const onRefreshTokenRotated = vi.fn()
+    let now = 0
+    const getAccessToken = createRefreshTokenAccessTokenProvider({
+      ...base,
+      axios,
+      refreshToken: 'rt-1',
+      onRefreshTokenRotated,
+      now: () => now,
+    })
+
+    await getAccessToken()
+    now = 3_600_000
+    await getAccessToken()
+
+    expect(tokenCalls.map((c) => c.form.refresh_token)).toEqual(['rt-1', 'rt-2'])
+    expect(onRefreshTokenRotated.mock.calls).toEqual([['rt-2'], ['rt-3']])
+  })
+
+  test('does not call the hook when the refresh token is unchanged or missing', async () => {
+    const { axios } = createTokenAxios((_form, n) =>
+      n === 1 ? { access_token: 'a', expires_in: 0, refresh_token: 'rt' } : { access_token: 'b', expires_in: 0 }
+    )
+
+    const onRefreshTokenRotated = vi.fn()
+    const getAccessToken = createRefreshTokenAccessTokenProvider({
+      ...base,
+      axios,
+      refreshToken: 'rt',
+      onRefreshTokenRotated,
+    })
+
+    await getAccessToken()
+    await getAccessToken()
+    expect(onRefreshTokenRotated).not.toHaveBeenCalled()
+  })
+
+  test('loads the refresh token from the store once and persists rotations', async () => {
+    const { axios, tokenCalls } = createTokenAxios((form) => ({
+      access_token: 'at',
+      expires_in: 0,
+      refresh_token: `${form.refresh_token}+`,
+    }))
+
+    let stored = 'stored-rt'
+    const refreshTokenStore = {
+      get: vi.fn(async () => stored),
+      set: vi.fn(async (token) => {
+        stored = token
+      }),
+    }
+
+    const client = new M365GraphBatchClient({
+      axios,
+      auth: { ...base, refreshToken: 'configured-rt', refreshTokenStore },
+    })
+
+    await client.batch([{ id: '1', url: '/me' }])
+    await client.batch([{ id: '2', url: '/me' }])
+
+    expect(tokenCalls.map((c) => c.form.refresh_token)).toEqual(['stored-rt', 'stored-rt+'])
+    expect(refreshTokenStore.get).toHaveBeenCalledTimes(1)
+    expect(stored).toBe('stored-rt++')
+  })
+
+  test('falls back to the configured token when the store is empty, and validates the store', async () => {
+    const { axios, tokenCalls } = createTokenAxios(() => ({ access_token: 'at', expires_in: 3600 }))
+
+    const getAccessToken = createRefreshTokenAccessTokenProvider({
+      ...base,
+      axios,
+      refreshToken: 'configured-rt',
+      refreshTokenStore: { get: async () => null, set: async () => {} },
+    })
+    await getAccessToken()
+    expect(tokenCalls[0].form.refresh_token).toBe('configured-rt')
+
+    const emptyStore = createRefreshTokenAccessTokenProvider({
+      ...base,
+      axios,
+      refreshTokenStore: { get: async () => undefined, set: async () => {} },
+    })
+    await expect(emptyStore()).rejects.toThrow(/options\.auth\.refreshToken is required/)
+
+    expect(() => createRefreshTokenAccessTokenProvider({ ...base, axios, refreshTokenStore: {} })).toThrow(
+      /must implement get\(\) and set\(\)/
+    )
+  })
+})
@@ -0,0 +1,222 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { describe, expect, test } from 'vitest'
+
+import { M365GraphBatchClient } from '..'
+import { createHandlerAxios } from './helpers.mjs'
+
+function createAxiosResponse({ status = 200, data, headers = {} }) {
+  const normalizedHeaders = {}
+  for (const [k, v] of Object.entries(headers || {})) normalizedHeaders[String(k).toLowerCase()] = String(v)
+
+  return {
+    status,
+    data,
+    headers: normalizedHeaders,
+  }
+}
+
+// In-memory stand-in for an OpenTelemetry Tracer: `startActiveSpan` with AsyncLocalStorage as the context manager.
+function createSpanRecorder() {
+  const spans = []
+  const active = new AsyncLocalStorage()
+
+  const tracer = {
+    startActiveSpan(name, options, fn) {
+      const span = {
+        name,
+        kind: options.kind,
+        parent: active.getStore() ?? null,
+        attributes: { ...options.attributes },
+        status: { code: 0 },
+        exceptions: [],
+        ended: false,
+        setAttribute(key, value) {
+          span.attributes[key] = value
+          return span
+        },
+        setAttributes(attributes) {
+          Object.assign(span.attributes, attributes)
+          return span
+        },
+        setStatus(status) {
+          span.status = status
+          return span
+        },
+        recordException(err) {
+          span.exceptions.push(err)
+        },
+        end() {
+          span.ended = true
+        },
+      }
+      spans.push(span)
+      return active.run(span, () => fn(span))
+    },
+  }
+
+  const children = (parent) => spans.filter((span) => span.parent === parent)
+  return { tracer, spans, children }
+}
+
+const subresponse = (id, status, extra = {}) => ({ id, status, headers: {}, body: {}, ...extra })
+
+describe('tracing', () => {
+  test('creates batch > chunk > HTTP attempt spans with Graph attributes', async () => {
+    const recorder = createSpanRecorder()
+    const { axios } = createHandlerAxios((config, n) => {
+      if (n === 1) return createAxiosResponse({ status: 503, headers: { 'request-id': 'r1' } })
+      return createAxiosResponse({
+        headers: { 'request-id': `r${n}` },
+        data: { responses: config.data.requests.map((r) => subresponse(r.id, r.id === 'b' ? 404 : 200)) },
+      })
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      maxRequestsPerBatch: 2,
+      tracer: recorder.tracer,
+    })
+    await client.batch([
+      { id: 'a', url: '/a' },
+      { id: 'b', url: '/b' },
+      { id: 'c', url: '/c' },
+    ])
+
+    const [root] = recorder.children(null)
+    expect(recorder.children(null)).toHaveLength(1)
+    expect(root).toMatchObject({
+      name: 'graph.batch',
+      ended: true,
+      attributes: {
+        'graph.batch.request_count': 3,
+        'graph.batch.mode': 'partial',
+        'graph.batch.chunk_count': 2,
+        'graph.batch.error_count': 0,
+      },
+    })
+
+    const chunks = recorder.children(root)
+    expect(chunks.map((span) => [span.name, span.attributes])).toEqual([
+      [
+        'graph.batch.chunk',
+        {
+          'graph.batch.chunk_index': 0,
+          'graph.batch.subrequest_count': 2,
+          'graph.batch.statuses': [200, 404],
+          'graph.batch.error_count': 0,
+        },
+      ],
+      [
+        'graph.batch.chunk',
+        {
+          'graph.batch.chunk_index': 1,
+          'graph.batch.subrequest_count': 1,
+          'graph.batch.statuses': [200],
+          'graph.batch.error_count': 0,
+        },
+      ],
+    ])
+
+    const attempts = recorder.children(chunks[0])
+    expect(attempts.map((span) => [span.name, span.kind, span.status.code, span.attributes])).toEqual([
+      [
+        'POST',
+        2,
+        2,
+        {
+          'http.request.method': 'POST',
+          'url.full': 'https://graph.microsoft.com/v1.0/$batch',
+          'graph.stage': 'batch',
+          'graph.attempt': 1,
+          'graph.batch.subrequest_count': 2,
+          'http.response.status_code': 503,
+          'graph.request_id': 'r1',
+        },
+      ],
+      [
+        'POST',
+        2,
+        0,
+        {
+          'http.request.method': 'POST',
+          'url.full': 'https://graph.microsoft.com/v1.0/$batch',
+          'graph.stage': 'batch',
+          'graph.attempt': 2,
+          'http.request.resend_count': 1,
+          'graph.batch.subrequest_count': 2,
+          'http.response.status_code': 200,
+          'graph.request_id': 'r2',
+        },
+      ],
+    ])
+    expect(recorder.spans.every((span) => span.ended)).toBe(true)
+  })
+
+  test('pagination pages get their own span around the GET attempts', async () => {
+    const recorder = createSpanRecorder()
+    const { axios } = createHandlerAxios((config) => {
+      if (config.method === 'POST') {
+        return createAxiosResponse({
+          data: {
+            responses: [
+              subresponse('users', 200, {
+                body: { value: [1], '@odata.nextLink': 'https://graph.microsoft.com/v1.0/users?$skiptoken=a' },
+              }),
+            ],
+          },
+        })
+      }
+      return createAxiosResponse({ data: { value: [2, 3] } })
+    })
+
+    const client = new M365GraphBatchClient({ axios, getAccessToken: async () => 't', tracer: recorder.tracer })
+    await client.batch([{ id: 'users', url: '/users' }])
+
+    const [chunk] = recorder.children(recorder.children(null)[0])
+    const [post, page] = recorder.children(chunk)
+    expect(post.name).toBe('POST')
+    expect(page).toMatchObject({
+      name: 'graph.pagination.page',
+      attributes: {
+        'graph.subrequest.id': 'users',
+        'graph.pagination.page_number': 2,
+        'graph.pagination.item_count': 2,
+      },
+    })
+    expect(recorder.children(page).map((span) => [span.name, span.attributes['graph.stage']])).toEqual([
+      ['GET', 'pagination'],
+    ])
+  })
+
+  test('failures are recorded on every span they pass through', async () => {
+    const recorder = createSpanRecorder()
+    const networkError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const { axios } = createHandlerAxios(() => {
+      throw networkError
+    })
+
+    const client = new M365GraphBatchClient({
+      axios,
+      getAccessToken: async () => 't',
+      sleep: async () => {},
+      maxBatchRetries: 0,
+      tracer: recorder.tracer,
+    })
+    await expect(client.batch([{ id: '1', url: '/a' }], { mode: 'strict' })).rejects.toBe(networkError)
+
+    expect(recorder.spans.map((span) => [span.name, span.status, span.exceptions])).toEqual([
+      ['graph.batch', { code: 2, message: 'socket hang up' }, [networkError]],
+      ['graph.batch.chunk', { code: 2, message: 'socket hang up' }, [networkError]],
+      ['POST', { code: 2, message: 'socket hang up' }, [networkError]],
+    ])
+    expect(recorder.spans.every((span) => span.ended)).toBe(true)
+  })
+
+  test('validates the tracer', () => {
+    expect(() => new M365GraphBatchClient({ getAccessToken: async () => 't', tracer: {} })).toThrow(
+      /options\.tracer must be an OpenTelemetry Tracer/
+    )
+  })
+})